@@ -0,0 +1,316 @@
+// Sound
+// Every sound is synthesised with the Web Audio API, so the game ships no audio files: the
+// engine's rumble is filtered noise over a low hum whose pitch and volume follow the throttle,
+// RCS puffs are short hisses of noise, the catch arms clank shut with a few clashing metallic
+// tones, a destroyed rocket explodes in a falling roar, and alarms beep for low fuel and when
+// it's time for the landing burn. Sounds go through an effects or a voice (alarms and callouts)
+// channel into a master volume; the volumes and mute are saved to localStorage.
+// Browsers only allow sound once the player has interacted with the page, so nothing plays
+// until the first key press or click.
+
+const AUDIO_STORAGE_KEY = 'falconAudio';
+const DEFAULT_AUDIO_SETTINGS = { master: 80, effects: 80, voice: 80, muted: false }; // Volumes are percentages
+const RCS_PUFF_STEPS = 8; // Steps between puffs while the RCS keeps firing
+const LOW_FUEL_ALARM_INTERVAL = 1.2; // Seconds between low fuel alarms
+const BURN_ALARM_INTERVAL = 0.3; // Seconds between landing burn beeps
+
+// Sound settings elements (on the controls screen)
+const masterVolumeInput = document.getElementById('masterVolumeInput');
+const effectsVolumeInput = document.getElementById('effectsVolumeInput');
+const voiceVolumeInput = document.getElementById('voiceVolumeInput');
+const muteInput = document.getElementById('muteInput');
+
+let audioSettings = loadAudioSettings();
+
+// The audio graph, once it's been started, and what the shown simulation was doing last time so
+// sounds play as things happen
+const audio = {
+    context: null,
+    master: null,
+    effects: null,
+    voice: null,
+    noise: null, // A couple of seconds of white noise, the raw material for most sounds
+    engine: null, // { noiseGain, filter, hum, humGain }
+    sim: null,
+    stepCount: 0,
+    phase: null,
+    armsClosed: false,
+    wrecked: false,
+    rcsStep: null, // Step of the last RCS puff, null while the RCS is quiet
+    nextAlarmTime: 0
+};
+
+// Read the saved volumes and mute, falling back to the defaults
+function loadAudioSettings() {
+    const loaded = { ...DEFAULT_AUDIO_SETTINGS };
+    try {
+        const saved = JSON.parse(localStorage.getItem(AUDIO_STORAGE_KEY));
+        if (saved) {
+            ['master', 'effects', 'voice'].forEach((channel) => {
+                if (Number.isFinite(saved[channel])) {
+                    loaded[channel] = Math.max(0, Math.min(100, saved[channel]));
+                }
+            });
+            loaded.muted = saved.muted === true;
+        }
+    } catch (error) {
+        // Unreadable or unavailable storage, use the defaults
+    }
+    return loaded;
+}
+
+// Save the volumes and mute
+function saveAudioSettings() {
+    try {
+        localStorage.setItem(AUDIO_STORAGE_KEY, JSON.stringify(audioSettings));
+    } catch (error) {
+        // Storage unavailable (e.g. private browsing), settings last until the page closes
+    }
+}
+
+// Build the audio graph on the first interaction (and resume it if the browser suspended it)
+function startAudio() {
+    if (audio.context) {
+        if (audio.context.state === 'suspended') {
+            audio.context.resume();
+        }
+        return;
+    }
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return; // No Web Audio, the game stays silent
+
+    const context = audio.context = new AudioContextClass();
+    audio.master = context.createGain();
+    audio.master.connect(context.destination);
+    audio.effects = context.createGain();
+    audio.effects.connect(audio.master);
+    audio.voice = context.createGain();
+    audio.voice.connect(audio.master);
+
+    audio.noise = context.createBuffer(1, context.sampleRate * 2, context.sampleRate);
+    const samples = audio.noise.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = Math.random() * 2 - 1;
+    }
+
+    // The engine runs all the time, silent until the throttle opens
+    const noiseSource = context.createBufferSource();
+    noiseSource.buffer = audio.noise;
+    noiseSource.loop = true;
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    const noiseGain = context.createGain();
+    noiseGain.gain.value = 0;
+    noiseSource.connect(filter).connect(noiseGain).connect(audio.effects);
+    noiseSource.start();
+
+    const hum = context.createOscillator();
+    hum.type = 'sawtooth';
+    const humFilter = context.createBiquadFilter();
+    humFilter.type = 'lowpass';
+    humFilter.frequency.value = 200;
+    const humGain = context.createGain();
+    humGain.gain.value = 0;
+    hum.connect(humFilter).connect(humGain).connect(audio.effects);
+    hum.start();
+
+    audio.engine = { noiseGain: noiseGain, filter: filter, hum: hum, humGain: humGain };
+    applyAudioSettings();
+}
+
+// Set the channel volumes from the settings
+function applyAudioSettings() {
+    if (!audio.context) return;
+    const now = audio.context.currentTime;
+    audio.master.gain.setTargetAtTime(audioSettings.muted ? 0 : audioSettings.master / 100, now, 0.02);
+    audio.effects.gain.setTargetAtTime(audioSettings.effects / 100, now, 0.02);
+    audio.voice.gain.setTargetAtTime(audioSettings.voice / 100, now, 0.02);
+}
+
+// Show the settings on the controls screen
+function renderAudioSettings() {
+    masterVolumeInput.value = audioSettings.master;
+    effectsVolumeInput.value = audioSettings.effects;
+    voiceVolumeInput.value = audioSettings.voice;
+    muteInput.checked = audioSettings.muted;
+}
+
+function toggleMute() {
+    audioSettings.muted = !audioSettings.muted;
+    saveAudioSettings();
+    applyAudioSettings();
+    renderAudioSettings();
+}
+
+// A burst of filtered noise with a quick attack, fading out over its duration
+// The filter can sweep from one frequency to another as it fades
+function playNoiseBurst(destination, options) {
+    const context = audio.context;
+    const now = context.currentTime;
+    const source = context.createBufferSource();
+    source.buffer = audio.noise;
+    const filter = context.createBiquadFilter();
+    filter.type = options.filter;
+    filter.frequency.setValueAtTime(options.frequency, now);
+    if (options.endFrequency) {
+        filter.frequency.exponentialRampToValueAtTime(options.endFrequency, now + options.duration);
+    }
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(0.0001, now);
+    gain.gain.exponentialRampToValueAtTime(options.volume, now + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, now + options.duration);
+    source.connect(filter).connect(gain).connect(destination);
+    source.start(now);
+    source.stop(now + options.duration);
+}
+
+// A tone that fades out over its duration, starting after the given delay
+function playTone(destination, type, frequency, duration, volume, delay = 0) {
+    const context = audio.context;
+    const start = context.currentTime + delay;
+    const oscillator = context.createOscillator();
+    oscillator.type = type;
+    oscillator.frequency.value = frequency;
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(volume, start + 0.005);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+    oscillator.connect(gain).connect(destination);
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+}
+
+function playRcsPuff(strength) {
+    playNoiseBurst(audio.effects, { filter: 'highpass', frequency: 3000, duration: 0.08, volume: 0.15 + 0.2 * strength });
+}
+
+// Metal on metal: inharmonic square tones over a sharp click, ringing out
+function playClank() {
+    playNoiseBurst(audio.effects, { filter: 'bandpass', frequency: 2500, duration: 0.05, volume: 0.5 });
+    [220, 347, 589, 831].forEach((frequency, index) => {
+        playTone(audio.effects, 'square', frequency, 0.4 - index * 0.06, 0.08);
+    });
+}
+
+// A roar that falls away, over a deep thump
+function playExplosion() {
+    playNoiseBurst(audio.effects, { filter: 'lowpass', frequency: 3000, endFrequency: 80, duration: 2.2, volume: 0.9 });
+    const context = audio.context;
+    const now = context.currentTime;
+    const thump = context.createOscillator();
+    thump.type = 'sine';
+    thump.frequency.setValueAtTime(90, now);
+    thump.frequency.exponentialRampToValueAtTime(30, now + 0.8);
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(0.8, now);
+    gain.gain.exponentialRampToValueAtTime(0.0001, now + 0.8);
+    thump.connect(gain).connect(audio.effects);
+    thump.start(now);
+    thump.stop(now + 0.8);
+}
+
+// Two falling tones
+function playLowFuelAlarm() {
+    playTone(audio.voice, 'triangle', 880, 0.25, 0.25);
+    playTone(audio.voice, 'triangle', 660, 0.25, 0.25, 0.3);
+}
+
+function playBurnAlarm() {
+    playTone(audio.voice, 'square', 1200, 0.12, 0.12);
+}
+
+// A rising chime as a new flight phase is announced
+function playPhaseChime() {
+    playTone(audio.voice, 'sine', 660, 0.3, 0.2);
+    playTone(audio.voice, 'sine', 990, 0.4, 0.2, 0.15);
+}
+
+// Play the sounds for what the shown simulation is doing, once a frame
+// The title screen's demo flights are silent, and so is a paused flight
+function updateSound(shownSim) {
+    if (!audio.context) return;
+
+    const context = audio.context;
+    const now = context.currentTime;
+    const engine = audio.engine;
+    const silent = Boolean(demoState) || Boolean(editorState) || isPaused();
+
+    // A new flight (or a replay seeking back) starts the sound afresh
+    if (audio.sim !== shownSim || shownSim.stepCount < audio.stepCount) {
+        audio.sim = shownSim;
+        audio.phase = shownSim.phase;
+        audio.armsClosed = shownSim.arms.closure >= 1;
+        audio.wrecked = shownSim.debris.length > 0;
+        audio.rcsStep = null;
+    }
+    audio.stepCount = shownSim.stepCount;
+
+    // Engine rumble: louder, brighter and higher with the throttle
+    const firing = !silent && shownSim.active && shownSim.fuel > 0 && !shownSim.engineOut;
+    const throttle = firing ? shownSim.throttleLevel / 100 : 0;
+    engine.noiseGain.gain.setTargetAtTime(0.45 * throttle, now, 0.05);
+    engine.filter.frequency.setTargetAtTime(150 + 900 * throttle, now, 0.05);
+    engine.hum.frequency.setTargetAtTime(35 + 40 * throttle, now, 0.05);
+    engine.humGain.gain.setTargetAtTime(0.3 * throttle, now, 0.05);
+    if (silent) return;
+
+    // RCS puffs while steering
+    if (shownSim.active && shownSim.rcsOutput !== 0) {
+        if (audio.rcsStep === null || shownSim.stepCount - audio.rcsStep >= RCS_PUFF_STEPS) {
+            playRcsPuff(Math.abs(shownSim.rcsOutput));
+            audio.rcsStep = shownSim.stepCount;
+        }
+    } else {
+        audio.rcsStep = null;
+    }
+
+    // The arms clank as they finish closing, and a destroyed rocket explodes
+    const armsClosed = shownSim.arms.closure >= 1;
+    if (armsClosed && !audio.armsClosed) {
+        playClank();
+    }
+    audio.armsClosed = armsClosed;
+    const wrecked = shownSim.debris.length > 0;
+    if (wrecked && !audio.wrecked) {
+        playExplosion();
+    }
+    audio.wrecked = wrecked;
+
+    if (!shownSim.active) return;
+
+    if (shownSim.phase !== audio.phase) {
+        playPhaseChime();
+        audio.phase = shownSim.phase;
+    }
+
+    // Alarms: the landing burn beeps take priority over low fuel
+    if (now >= audio.nextAlarmTime) {
+        if (isLandingBurnDue(shownSim)) {
+            playBurnAlarm();
+            audio.nextAlarmTime = now + BURN_ALARM_INTERVAL;
+        } else if (shownSim.lowFuel) {
+            playLowFuelAlarm();
+            audio.nextAlarmTime = now + LOW_FUEL_ALARM_INTERVAL;
+        }
+    }
+}
+
+renderAudioSettings();
+
+// Sound can only start from a user gesture
+document.addEventListener('keydown', startAudio);
+document.addEventListener('pointerdown', startAudio);
+
+[[masterVolumeInput, 'master'], [effectsVolumeInput, 'effects'], [voiceVolumeInput, 'voice']].forEach(([input, channel]) => {
+    input.addEventListener('input', () => {
+        audioSettings[channel] = parseInt(input.value, 10);
+        saveAudioSettings();
+        applyAudioSettings();
+    });
+});
+
+muteInput.addEventListener('change', () => {
+    audioSettings.muted = muteInput.checked;
+    saveAudioSettings();
+    applyAudioSettings();
+});
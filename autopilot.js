@@ -0,0 +1,141 @@
+// Autopilot
+// Flies a simulation's rocket to the catch arms (or a drone ship's deck) using the same inputs as the player:
+// thrust (which ramps the throttle), analog rotation (which steers the engine gimbal
+// and RCS) and land (which closes the arms). Used for the title screen demo, the
+// attitude-hold assist, and headless checks that every difficulty level can be won
+// (see check-levels.js).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./core'));
+    } else {
+        root.FalconAutopilot = factory(root.FalconCore);
+    }
+}(typeof self !== 'undefined' ? self : this, function (FalconCore) {
+    const TOWER_CLEARANCE = 25; // Pixels kept between the rocket and the tower's top while crossing over it
+    const TOWER_MARGIN = 2; // Pixels kept between the rocket and the tower's side when beside it
+    const APPROACH_HEIGHT = 110; // Height above the catch arm to hold until lined up underneath it
+    const MAX_HORIZONTAL_SPEED = 2.2;
+    const MAX_DESCENT_SPEED = 1.6;
+    const BURN_MARGIN = 80; // Pixels of fall left in hand when the landing burn starts
+    const ENTRY_LOOKAHEAD = 600; // Pixels of fall ahead over which the entry burn watches the drag build up
+    const ENTRY_LOAD_TARGET = 1.4; // Drag (in multiples of the rocket's weight) the entry burn keeps under, inside the breakup limit
+    const DRIFT_TOLERANCE = 0.4; // Horizontal speed off the wanted one that's worth a burn to correct while falling
+    const MAX_TILT = 0.3; // Radians, inside the upright limit so a landing is never refused for tilt
+    const MIN_THROTTLE = 40;
+    const MAX_TURN_RATE = 0.012; // Radians per step
+    const ANGLE_GAIN = 0.06; // Turn rate wanted per radian off the target angle
+    const RATE_GAIN = 250; // Steering per radian per step off the wanted turn rate
+    const STEADY_SPEED = 0.3; // Speed below which the rocket stays within reach of the arms while they close
+    const TOUCHDOWN_DEPTH = 12; // Pixels below a drone ship's deck to aim for, so the rocket keeps sinking gently onto it
+
+    // Where the rocket's centre should end up to put both catch points on the tips of the catch arms
+    // (or, on a drone ship, to stand on the middle of its deck)
+    function getCatchTarget(sim) {
+        if (sim.pad) {
+            return { x: sim.pad.x, y: sim.pad.y - FalconCore.ROCKET_HEIGHT / 2 + TOUCHDOWN_DEPTH };
+        }
+        const leftTip = FalconCore.getCatchArmTip(sim, -1);
+        const rightTip = FalconCore.getCatchArmTip(sim, 1);
+        return {
+            x: (leftTip.x + rightTip.x) / 2,
+            y: rightTip.y - FalconCore.CATCH_POINT_OFFSET_Y
+        };
+    }
+
+    // Analog rotation input (-1..1) that turns the rocket towards an angle (0 is upright) and holds it there
+    function getAttitudeHoldRotation(sim, targetAngle = 0) {
+        const rocket = sim.rocket;
+        const angleError = targetAngle - rocket.angle;
+
+        // Aim for a turn rate proportional to the error, and steer in proportion to how far off it the rocket is
+        const desiredAngularVelocity = Math.max(-MAX_TURN_RATE, Math.min(MAX_TURN_RATE, angleError * ANGLE_GAIN));
+        const rateError = desiredAngularVelocity - rocket.angularVelocity;
+        return Math.max(-1, Math.min(1, rateError * RATE_GAIN));
+    }
+
+    // Tilt that cancels the wind's push on the rocket while hovering
+    function getWindLean(sim) {
+        if (!sim.wind) return 0;
+        const weight = sim.rocket.mass * sim.engine.gravity.y * sim.engine.gravity.scale;
+        return Math.atan(-sim.wind.forceX / weight);
+    }
+
+    // Throttle (%) that balances gravity; it falls as the rocket burns fuel and gets lighter
+    function getHoverThrottle(sim) {
+        const maxTwr = FalconCore.getFuelStatus(sim).maxTwr;
+        return maxTwr > 0 ? 100 / maxTwr : 100;
+    }
+
+    // Full autopilot input for the next step, as an analog input object (see FalconCore.encodeInput())
+    function getAutopilotInput(sim) {
+        if (!sim.active) return 0;
+
+        const rocket = sim.rocket;
+        const target = getCatchTarget(sim);
+        const alignment = sim.evaluateAlignment();
+
+        // Horizontal: pick a speed towards the target, then lean to reach it
+        // Lean less once down among the tower's arms, where a tilted rocket could clip the tower
+        const offsetX = target.x - rocket.position.x;
+        const nearArm = rocket.position.y > target.y - APPROACH_HEIGHT / 2;
+        // (beyond whatever lean is needed to hold against the wind)
+        const windLean = getWindLean(sim);
+        const maxTilt = nearArm ? Math.min(MAX_TILT, MAX_TILT / 3 + Math.abs(windLean)) : MAX_TILT;
+        const desiredVelocityX = Math.max(-MAX_HORIZONTAL_SPEED, Math.min(MAX_HORIZONTAL_SPEED, offsetX * 0.012));
+        const desiredAngle = Math.max(-maxTilt, Math.min(maxTilt, (desiredVelocityX - rocket.velocity.x) * 0.15 + windLean));
+
+        // Vertical: stay high until lined up, and never sink below the tower top while over or too close to it
+        // (a swaying drone ship can't be lined up with exactly, but its deck leaves more room)
+        const linedUp = sim.pad ? Math.abs(offsetX) < sim.pad.width / 4 : Math.abs(offsetX) < 4 && Math.abs(rocket.velocity.x) < 0.3;
+        let desiredY = linedUp || nearArm ? target.y : target.y - APPROACH_HEIGHT;
+        // (leaning right swings the bottom of the rocket left, towards the tower)
+        const bottomLeftX = rocket.position.x - Math.cos(rocket.angle) * FalconCore.ROCKET_WIDTH / 2 - Math.sin(rocket.angle) * FalconCore.ROCKET_HEIGHT / 2;
+        const tower = sim.layout;
+        const besideTower = !sim.pad && Math.abs(rocket.position.x - tower.x) < FalconCore.TOWER_HALF_WIDTH + FalconCore.ROCKET_HEIGHT / 2 &&
+                            bottomLeftX < tower.x + FalconCore.TOWER_HALF_WIDTH + TOWER_MARGIN;
+        if (besideTower) {
+            desiredY = Math.min(desiredY, tower.top - FalconCore.ROCKET_HEIGHT / 2 - TOWER_CLEARANCE);
+        }
+        const descentLimit = nearArm ? 0.8 : MAX_DESCENT_SPEED;
+        const desiredVelocityY = Math.max(-MAX_DESCENT_SPEED, Math.min(descentLimit, (desiredY - rocket.position.y) * 0.04));
+
+        // Throttle around hover, more when falling faster than wanted
+        // Tilting spends thrust sideways, so compensate to keep the same lift
+        const lift = Math.max(0.5, Math.cos(rocket.angle));
+        // The throttle ramps up slower than it drops, so don't let it fall far below hover
+        // (but a light rocket in low gravity has to go below the usual floor to come down at all)
+        const hoverThrottle = getHoverThrottle(sim);
+        const minThrottle = Math.min(MIN_THROTTLE, hoverThrottle * 0.75);
+        const desiredThrottle = Math.max(minThrottle, hoverThrottle + (rocket.velocity.y - desiredVelocityY) * 60) / lift;
+
+        // High above the target, fall freely with the engine off until it's time for the landing burn,
+        // only burning (enough to hold the fall steady) to lean into a correction when drifting off course
+        const descent = FalconCore.getDescentStatus(sim);
+        const falling = !sim.engineOut && desiredY - rocket.position.y > descent.stoppingDistance + BURN_MARGIN;
+        // (once leaning the right way, so the burn doesn't push it further off)
+        const drifting = Math.abs(desiredVelocityX - rocket.velocity.x) > DRIFT_TOLERANCE &&
+                         (rocket.angle - windLean) * (desiredVelocityX - rocket.velocity.x) > 0;
+        let throttleWanted = falling ? (drifting ? hoverThrottle / lift : 0) : desiredThrottle;
+
+        // Coming down into thicker air, burn before the drag nears the breakup limit
+        const densityAhead = FalconCore.getAirDensity(descent.altitude - ENTRY_LOOKAHEAD) / FalconCore.getAirDensity(descent.altitude);
+        if (descent.load * densityAhead > ENTRY_LOAD_TARGET) {
+            throttleWanted = 100;
+        }
+
+        // Close the arms once holding steady where they'll catch the rocket, then keep holding while they swing shut
+        const holdingSteady = Math.abs(rocket.velocity.x) < STEADY_SPEED && Math.abs(rocket.velocity.y) < STEADY_SPEED;
+
+        return {
+            thrust: sim.throttleLevel < throttleWanted,
+            rotation: getAttitudeHoldRotation(sim, desiredAngle),
+            land: alignment.isWellPositioned && holdingSteady
+        };
+    }
+
+    return {
+        getCatchTarget: getCatchTarget,
+        getAttitudeHoldRotation: getAttitudeHoldRotation,
+        getAutopilotInput: getAutopilotInput
+    };
+}));
@@ -0,0 +1,204 @@
+// Camera and altitude tape
+// The world reaches far above the ground-level view (see WORLD_TOP in core.js), so the view
+// follows the rocket down: zoomed out while it falls from high up, easing in on the tower
+// (or drone ship) for the final approach. The view is the renderer's bounds, and the game's
+// own drawing goes through the same transform (Render.startViewTransform() in gameLoop()).
+// An altitude tape on the right edge shows the ground, the target and the rocket within a
+// short range of its height, and marks where the landing burn has to start.
+
+const CAMERA_HIGH_ZOOM = 0.8; // Zoom while falling from high up, showing more of the sky below
+const CAMERA_LOW_ZOOM = 1.25; // Zoom for the final approach
+const CAMERA_ZOOM_ALTITUDE = 1200; // Height above the ground from which the camera is fully zoomed out
+const CAMERA_EASE = 0.1; // Fraction of the way to where it should be the camera moves each step's worth of time
+const ALTITUDE_MARK_SPACING = 500; // Height between the altitude lines drawn across the sky
+const TAPE_RANGE = 1600; // Height shown on the altitude tape, half above and half below the rocket
+const TAPE_HEIGHT = 240; // Screen pixels
+const TAPE_WIDTH = 14;
+const TAPE_TICK_SPACING = 200; // Height between the tape's ticks
+
+// Where the view is looking: its centre in world coordinates, and how far it's zoomed in
+const camera = {
+    sim: null, // Simulation the camera was last following, so a new one snaps it into place
+    stepCount: 0,
+    x: FalconCore.WORLD_WIDTH / 2,
+    y: FalconCore.WORLD_HEIGHT / 2,
+    zoom: 1
+};
+
+// Height (as in FalconCore.getDescentStatus()) the rocket's base is at once it's down on the
+// drone ship's deck or hanging from the catch arms
+function getLandingAltitude(shownSim) {
+    if (shownSim.pad) {
+        return FalconCore.PAD_Y - shownSim.pad.y;
+    }
+    const armTip = FalconCore.getCatchArmTip(shownSim, 1);
+    return FalconCore.PAD_Y - (armTip.y - FalconCore.CATCH_POINT_OFFSET_Y + FalconCore.ROCKET_HEIGHT / 2);
+}
+
+// Whether it's time for the landing burn: the rocket is falling, down to the height a full-throttle
+// burn has to start by to stop it above the target, and not burning hard yet
+function isLandingBurnDue(shownSim) {
+    const descent = FalconCore.getDescentStatus(shownSim);
+    const burnAltitude = getLandingAltitude(shownSim) + descent.stoppingDistance;
+    return descent.descentSpeed > 1 && descent.altitude <= burnAltitude && shownSim.throttleLevel < 90;
+}
+
+// Where the camera should be for a rocket pose: on the rocket and zoomed out high up, zooming
+// in as it gets low and leaning towards the target so both stay in view
+function getCameraTarget(shownSim, pose) {
+    // The mission editor shows the ground-level view, scrolled up as far as it's looking
+    if (editorState) {
+        return { x: CANVAS_WIDTH / 2, y: CANVAS_HEIGHT / 2 - editorState.viewHeight, zoom: 1 };
+    }
+
+    const altitude = FalconCore.PAD_Y - (pose.y + FalconCore.ROCKET_HEIGHT / 2);
+    const height = Math.max(0, Math.min(1, altitude / CAMERA_ZOOM_ALTITUDE)); // 0 low down, 1 high up
+    const zoom = CAMERA_LOW_ZOOM + (CAMERA_HIGH_ZOOM - CAMERA_LOW_ZOOM) * height;
+    const targetX = shownSim.pad ? shownSim.pad.x : shownSim.layout.x;
+    const lean = (1 - height) * 0.5;
+    return {
+        x: pose.x + (targetX - pose.x) * lean,
+        y: pose.y + CANVAS_HEIGHT / zoom * 0.2 * height, // Keep more of the fall ahead in view
+        zoom: zoom
+    };
+}
+
+// Keep a view of the given zoom inside the world (centred across it when wider than the world)
+function clampCamera(view) {
+    const halfWidth = CANVAS_WIDTH / view.zoom / 2;
+    const halfHeight = CANVAS_HEIGHT / view.zoom / 2;
+    view.x = halfWidth * 2 >= FalconCore.WORLD_WIDTH
+        ? FalconCore.WORLD_WIDTH / 2
+        : Math.max(halfWidth, Math.min(FalconCore.WORLD_WIDTH - halfWidth, view.x));
+    view.y = Math.max(FalconCore.WORLD_TOP + halfHeight, Math.min(FalconCore.WORLD_HEIGHT - halfHeight, view.y));
+}
+
+// Move the camera towards the rocket and point the renderer at the view
+// It jumps straight there for a new flight (or after a replay seeks back), and eases there otherwise
+function updateCamera(shownSim, pose, frameTime) {
+    const target = getCameraTarget(shownSim, pose);
+    if (camera.sim !== shownSim || shownSim.stepCount < camera.stepCount || editorState) {
+        camera.x = target.x;
+        camera.y = target.y;
+        camera.zoom = target.zoom;
+    } else {
+        const ease = 1 - Math.pow(1 - CAMERA_EASE, frameTime / PHYSICS_STEP);
+        camera.x += (target.x - camera.x) * ease;
+        camera.y += (target.y - camera.y) * ease;
+        camera.zoom += (target.zoom - camera.zoom) * ease;
+    }
+    camera.sim = shownSim;
+    camera.stepCount = shownSim.stepCount;
+    clampCamera(camera);
+
+    const halfWidth = CANVAS_WIDTH / camera.zoom / 2;
+    const halfHeight = CANVAS_HEIGHT / camera.zoom / 2;
+    renderer.bounds.min.x = camera.x - halfWidth;
+    renderer.bounds.max.x = camera.x + halfWidth;
+    renderer.bounds.min.y = camera.y - halfHeight;
+    renderer.bounds.max.y = camera.y + halfHeight;
+}
+
+// Faint lines across the sky at every ALTITUDE_MARK_SPACING of height, so the fall can be seen
+// (drawn in world coordinates)
+function drawAltitudeMarks() {
+    const ctx = canvas.getContext('2d');
+    const bounds = renderer.bounds;
+    const lowest = Math.max(1, Math.ceil((FalconCore.PAD_Y - bounds.max.y) / ALTITUDE_MARK_SPACING));
+    const highest = Math.floor((FalconCore.PAD_Y - bounds.min.y) / ALTITUDE_MARK_SPACING);
+
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+    ctx.lineWidth = 1 / camera.zoom;
+    ctx.font = `${12 / camera.zoom}px Arial`;
+    for (let mark = lowest; mark <= highest; mark++) {
+        const y = FalconCore.PAD_Y - mark * ALTITUDE_MARK_SPACING;
+        ctx.beginPath();
+        ctx.moveTo(bounds.min.x, y);
+        ctx.lineTo(bounds.max.x, y);
+        ctx.stroke();
+        ctx.fillText(`${mark * ALTITUDE_MARK_SPACING} m`, bounds.min.x + 8 / camera.zoom, y - 4 / camera.zoom);
+    }
+    ctx.restore();
+}
+
+// Altitude tape on the right edge of the screen (drawn in screen coordinates): the rocket's
+// height in the middle, the ground and landing target as they come into range, and the height
+// by which the landing burn has to start, with a BURN cue once it's time
+function drawAltitudeTape(shownSim) {
+    if (!shownSim.active || editorState) return;
+
+    const ctx = canvas.getContext('2d');
+    const descent = FalconCore.getDescentStatus(shownSim);
+    const landingAltitude = getLandingAltitude(shownSim);
+    const burnAltitude = landingAltitude + descent.stoppingDistance;
+    const tapeX = CANVAS_WIDTH - TAPE_WIDTH - 20;
+    const tapeTop = (CANVAS_HEIGHT - TAPE_HEIGHT) / 2;
+    const middle = tapeTop + TAPE_HEIGHT / 2;
+    const scale = TAPE_HEIGHT / TAPE_RANGE;
+
+    // Screen y for a height, or null when it's off the tape
+    function tapeY(altitude) {
+        const y = middle - (altitude - descent.altitude) * scale;
+        return y >= tapeTop && y <= tapeTop + TAPE_HEIGHT ? y : null;
+    }
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(tapeX, tapeTop, TAPE_WIDTH, TAPE_HEIGHT);
+    ctx.strokeStyle = '#666666';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(tapeX, tapeTop, TAPE_WIDTH, TAPE_HEIGHT);
+
+    // Ticks every TAPE_TICK_SPACING
+    ctx.strokeStyle = '#888888';
+    const firstTick = Math.ceil((descent.altitude - TAPE_RANGE / 2) / TAPE_TICK_SPACING) * TAPE_TICK_SPACING;
+    for (let altitude = Math.max(0, firstTick); altitude <= descent.altitude + TAPE_RANGE / 2; altitude += TAPE_TICK_SPACING) {
+        const y = tapeY(altitude);
+        if (y === null) continue;
+        ctx.beginPath();
+        ctx.moveTo(tapeX, y);
+        ctx.lineTo(tapeX + TAPE_WIDTH / 2, y);
+        ctx.stroke();
+    }
+
+    // Ground, landing target and the latest point to start the landing burn
+    const groundY = tapeY(0);
+    if (groundY !== null) {
+        ctx.fillStyle = '#8a5a3c';
+        ctx.fillRect(tapeX, groundY, TAPE_WIDTH, tapeTop + TAPE_HEIGHT - groundY);
+    }
+    const targetY = tapeY(landingAltitude);
+    if (targetY !== null) {
+        ctx.fillStyle = '#00ff00';
+        ctx.fillRect(tapeX - 4, targetY - 1, TAPE_WIDTH + 8, 3);
+    }
+    const burnY = tapeY(burnAltitude);
+    if (burnY !== null) {
+        ctx.fillStyle = '#ffcc00';
+        ctx.fillRect(tapeX - 4, burnY - 1, TAPE_WIDTH + 8, 2);
+    }
+
+    // The rocket, with its height
+    ctx.fillStyle = '#ffffff';
+    ctx.beginPath();
+    ctx.moveTo(tapeX - 2, middle);
+    ctx.lineTo(tapeX - 10, middle - 5);
+    ctx.lineTo(tapeX - 10, middle + 5);
+    ctx.closePath();
+    ctx.fill();
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`${Math.round(descent.altitude)} m`, tapeX - 14, middle);
+
+    // Time for the landing burn once the rocket is falling and down to where it has to start
+    if (isLandingBurnDue(shownSim)) {
+        ctx.fillStyle = Math.floor(performance.now() / 250) % 2 === 0 ? '#ff3300' : '#ffcc00';
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('BURN', tapeX + TAPE_WIDTH / 2, tapeTop - 12);
+    }
+    ctx.restore();
+}
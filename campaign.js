@@ -0,0 +1,120 @@
+// Campaign
+// A series of missions with different goals, flown in order: each one unlocks the next once
+// it's been completed (earned at least one star). Used by the browser's campaign screen and
+// by check-levels.js, which checks that every mission can be completed.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./core'));
+    } else {
+        root.FalconCampaign = factory(root.FalconCore);
+    }
+}(typeof self !== 'undefined' ? self : this, function (FalconCore) {
+    // The campaign's missions in the order they unlock (see parseMission() in core.js for the fields)
+    const CAMPAIGN_MISSIONS = [
+        {
+            id: 'first-catch',
+            mission: {
+                name: 'First Catch',
+                description: 'Bring the booster down beside the tower and close the arms under its catch points.',
+                difficulty: 1,
+                wind: { steady: 0.2, gust: 0, turbulence: 0.1 },
+                stars: [{ score: 3000 }, { speed: 1.2 }]
+            }
+        },
+        {
+            id: 'drone-ship',
+            mission: {
+                name: 'Drone Ship',
+                description: 'No tower out at sea: touch down on the deck of a drone ship as it rolls in the swell.',
+                difficulty: 2,
+                goal: 'pad',
+                pad: { x: 420, width: 100, sway: 25 },
+                spawn: { x: [780, 880], y: [50, 90] },
+                wind: { steady: -0.5, gust: 0.5, turbulence: 0.3 },
+                stars: [{ score: 3500 }, { speed: 0.8, fuel: 55 }]
+            }
+        },
+        {
+            id: 'running-on-fumes',
+            mission: {
+                name: 'Running on Fumes',
+                description: 'The boostback burn ran long and there is barely any propellant left. Waste none of it.',
+                difficulty: 2,
+                spawn: { x: [700, 760], y: [60, 80], velocityX: [-0.5, 0], velocityY: [0.5, 1] },
+                fuel: 18,
+                stars: [{ fuel: 5 }, { score: 2900 }]
+            }
+        },
+        {
+            id: 'engine-out',
+            mission: {
+                name: 'Engine Out',
+                description: 'The engine flames out just after the start and takes two seconds to relight. Keep her upright and be ready to burn hard.',
+                difficulty: 2,
+                spawn: { x: [700, 780], y: [-1500, -1400], velocityX: [-0.5, 0.5], velocityY: [-0.5, 0] },
+                engineOut: { at: 0.5, duration: 2 },
+                stars: [{ time: 10 }, { score: 4400 }]
+            }
+        },
+        {
+            id: 'precision',
+            mission: {
+                name: 'Needle Threading',
+                description: 'Stubby arms and no room for error: the catch points have to land right on the arm tips.',
+                difficulty: 3,
+                armWidth: 14,
+                spawn: { x: [700, 800], y: [50, 90] },
+                wind: { steady: 0.4, gust: 0.3, turbulence: 0.2 },
+                landingRules: { horizontalTolerance: 0.35, maxSpeed: 2.5 },
+                stars: [{ score: 4500 }, { speed: 1.2 }]
+            }
+        },
+        {
+            id: 'gantry-run',
+            mission: {
+                name: 'Gantry Run',
+                description: 'Come in from the far side, over the launch gantry and past the fuel farm, to a tall tower in a gale.',
+                difficulty: 4,
+                tower: { x: 640, height: 220 },
+                spawn: { x: [120, 200], y: [50, 80], velocityX: [0, 1] },
+                wind: { steady: 1.2, gust: 1.2, turbulence: 0.5 },
+                obstacles: [
+                    { x: 330, y: 480, width: 40, height: 200 },
+                    { x: 470, y: 545, width: 90, height: 70 }
+                ],
+                stars: [{ score: 5000 }, { fuel: 45 }]
+            }
+        }
+    ].map(entry => ({ id: entry.id, mission: FalconCore.parseMission(entry.mission) }));
+
+    // Empty campaign progress: the best stars earned on each mission, by id
+    function createProgress() {
+        return { stars: {} };
+    }
+
+    // A mission can be flown once the one before it has been completed
+    function isMissionUnlocked(progress, index) {
+        return index === 0 || (progress.stars[CAMPAIGN_MISSIONS[index - 1].id] || 0) > 0;
+    }
+
+    // Keep a flight's stars if they beat the mission's best; returns true when they did
+    function recordStars(progress, id, stars) {
+        if (stars <= (progress.stars[id] || 0)) return false;
+        progress.stars[id] = stars;
+        return true;
+    }
+
+    // Stars earned across the whole campaign, out of three per mission
+    function getTotalStars(progress) {
+        return CAMPAIGN_MISSIONS.reduce((total, entry) => total + (progress.stars[entry.id] || 0), 0);
+    }
+
+    return {
+        CAMPAIGN_MISSIONS: CAMPAIGN_MISSIONS,
+        MAX_STARS: 1 + FalconCore.MAX_STAR_CRITERIA, // One for completing a mission, plus one for each star criterion
+        createProgress: createProgress,
+        isMissionUnlocked: isMissionUnlocked,
+        recordStars: recordStars,
+        getTotalStars: getTotalStars
+    };
+}));
@@ -0,0 +1,109 @@
+// Check that every difficulty level and campaign mission can be won
+// Flies the autopilot through a batch of seeded rounds at each difficulty, the same
+// way resetGame() starts them in the browser, and reports how many ended in a catch;
+// then does the same for each campaign mission, counting its successful landings.
+// Also flies rounds at each difficulty without touching the controls, which have to end by
+// breaking up on entry or coming down low, not somewhere up in the sky.
+// Exits with an error when any level or mission had no successes at all, or an idle round
+// ended another way.
+//
+//     node check-levels.js [rounds per level] [seed prefix]
+const FalconCore = require('./core');
+const FalconAutopilot = require('./autopilot');
+const FalconCampaign = require('./campaign');
+
+const MAX_FLIGHT_STEPS = 60 * 90; // Give up on a flight after 90 seconds of simulated time
+
+const rounds = parseInt(process.argv[2], 10) || 50;
+const seedPrefix = process.argv[3] || 'check';
+
+// Fly one round with the autopilot, returns how it ended
+function flyRound(difficulty, seed, mission = null) {
+    const sim = FalconCore.createSimulation({ difficulty: difficulty, mission: mission });
+    sim.startRound(seed);
+    while (sim.active && sim.stepCount < MAX_FLIGHT_STEPS) {
+        sim.step(FalconAutopilot.getAutopilotInput(sim));
+    }
+    return sim.result ? sim.result.outcome : 'timeout';
+}
+
+// Count how each of a batch of rounds ended
+function flyRounds(difficulty, seedPrefixForRounds, mission = null) {
+    const outcomes = {};
+    const failedSeeds = [];
+    for (let i = 0; i < rounds; i++) {
+        const seed = `${seedPrefixForRounds}-${i}`;
+        const outcome = flyRound(difficulty, seed, mission);
+        outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+        if (!FalconCore.OUTCOMES[outcome] || !FalconCore.OUTCOMES[outcome].success) {
+            failedSeeds.push(seed);
+        }
+    }
+    return { outcomes: outcomes, failedSeeds: failedSeeds, successes: rounds - failedSeeds.length };
+}
+
+// Print a batch's results, e.g. "Difficulty 3: 42/50 caught (catch 42, crashTooFast 8)"
+function report(name, verb, batch) {
+    const summary = Object.keys(batch.outcomes).map(outcome => `${outcome} ${batch.outcomes[outcome]}`).join(', ');
+    console.log(`${name}: ${batch.successes}/${rounds} ${verb} (${summary})`);
+    if (batch.failedSeeds.length > 0) {
+        console.log(`  Not ${verb}: ${batch.failedSeeds.slice(0, 10).join(' ')}${batch.failedSeeds.length > 10 ? ' ...' : ''}`);
+    }
+}
+
+// Fly one round without touching the controls, returns how it ended and whether that was
+// still high up (above the landing burn phase) without the rocket breaking up
+function flyIdleRound(difficulty, seed) {
+    const sim = FalconCore.createSimulation({ difficulty: difficulty });
+    sim.startRound(seed);
+    while (sim.active && sim.stepCount < MAX_FLIGHT_STEPS) {
+        sim.step(0);
+    }
+    const outcome = sim.result ? sim.result.outcome : 'timeout';
+    const altitude = FalconCore.getDescentStatus(sim).altitude;
+    return { outcome: outcome, high: outcome !== 'breakup' && altitude > FalconCore.LANDING_ALTITUDE };
+}
+
+let unwinnableLevels = 0;
+for (let difficulty = 1; difficulty <= FalconCore.MAX_DIFFICULTY; difficulty++) {
+    const batch = flyRounds(difficulty, `${seedPrefix}-${difficulty}`);
+    if (batch.successes === 0) {
+        unwinnableLevels++;
+    }
+    report(`Difficulty ${difficulty}`, 'caught', batch);
+}
+
+FalconCampaign.CAMPAIGN_MISSIONS.forEach((entry) => {
+    const batch = flyRounds(entry.mission.difficulty, `${seedPrefix}-${entry.id}`, entry.mission);
+    if (batch.successes === 0) {
+        unwinnableLevels++;
+    }
+    report(`Mission "${entry.mission.name}"`, 'landed', batch);
+});
+
+let idleFailures = 0;
+for (let difficulty = 1; difficulty <= FalconCore.MAX_DIFFICULTY; difficulty++) {
+    const outcomes = {};
+    const failedSeeds = [];
+    for (let i = 0; i < rounds; i++) {
+        const seed = `${seedPrefix}-idle-${difficulty}-${i}`;
+        const ending = flyIdleRound(difficulty, seed);
+        const outcome = ending.high ? `${ending.outcome} high up` : ending.outcome;
+        outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+        if (ending.high || ending.outcome === 'timeout') {
+            failedSeeds.push(seed);
+        }
+    }
+    idleFailures += failedSeeds.length;
+    report(`Difficulty ${difficulty} idle`, 'ended as expected', { outcomes: outcomes, failedSeeds: failedSeeds, successes: rounds - failedSeeds.length });
+}
+
+if (unwinnableLevels > 0) {
+    console.error(`${unwinnableLevels} difficulty level(s) or mission(s) had no successes`);
+}
+if (idleFailures > 0) {
+    console.error(`${idleFailures} idle round(s) ended somewhere other than entry or the ground`);
+}
+if (unwinnableLevels > 0 || idleFailures > 0) {
+    process.exit(1);
+}
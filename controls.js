@@ -0,0 +1,400 @@
+// Controls
+// Keyboard and gamepad bindings, gamepad polling, and the settings screen where
+// bindings are remapped. Bindings are saved to localStorage.
+//
+// Gamepad controls are written as 'button:7' (a button, or an analog trigger's value),
+// 'axis:0' (a stick axis) or '-axis:1' (a stick axis read in the opposite direction).
+
+const CONTROLS_STORAGE_KEY = 'falconControls';
+const GAMEPAD_DEADZONE = 0.15; // Stick movement ignored around the centre
+const GAMEPAD_CAPTURE_THRESHOLD = 0.6; // How far a control must move to be picked up while remapping
+
+// Default bindings (gamepad defaults follow the standard layout: right trigger, left stick, A, Y and Start)
+const DEFAULT_BINDINGS = {
+    keyboard: {
+        thrust: 'ArrowUp',
+        left: 'ArrowLeft',
+        right: 'ArrowRight',
+        land: ' ',
+        pilotMode: 'p',
+        telemetry: 't',
+        mute: 'm',
+        pause: 'Escape',
+        slowMotion: 'o',
+        frameStep: 'n',
+        inspector: 'i',
+        inspectBounds: '1',
+        inspectAlignment: '2',
+        inspectVectors: '3',
+        inspectConstraints: '4',
+        inspectReadout: '5'
+    },
+    gamepad: {
+        throttle: 'button:7',
+        rotate: 'axis:0',
+        land: 'button:0',
+        pilotMode: 'button:3',
+        pause: 'button:9'
+    }
+};
+
+// Names shown on the settings screen, in display order
+const BINDING_LABELS = {
+    keyboard: {
+        thrust: 'Thrust',
+        left: 'Rotate left',
+        right: 'Rotate right',
+        land: 'Close arms / Start',
+        pilotMode: 'Switch pilot',
+        telemetry: 'Telemetry panel',
+        mute: 'Mute sound',
+        pause: 'Pause',
+        slowMotion: 'Slow motion (debug)',
+        frameStep: 'Step one frame (debug)',
+        inspector: 'Inspector (debug)',
+        inspectBounds: 'Inspector: body bounds',
+        inspectAlignment: 'Inspector: catch tolerances',
+        inspectVectors: 'Inspector: vectors',
+        inspectConstraints: 'Inspector: constraint forces',
+        inspectReadout: 'Inspector: alignment readout'
+    },
+    gamepad: {
+        throttle: 'Throttle (analog)',
+        rotate: 'Rotate (analog)',
+        land: 'Close arms / Start',
+        pilotMode: 'Switch pilot',
+        pause: 'Pause'
+    }
+};
+
+// Gamepad bindings that are read as analog values rather than pressed
+const ANALOG_GAMEPAD_ACTIONS = ['throttle', 'rotate'];
+
+// Settings screen elements
+const settingsScreenElement = document.getElementById('settingsScreen');
+const keyboardBindingsElement = document.getElementById('keyboardBindings');
+const gamepadBindingsElement = document.getElementById('gamepadBindings');
+const bindingHintElement = document.getElementById('bindingHint');
+const gamepadStatusElement = document.getElementById('gamepadStatus');
+const resetBindingsButton = document.getElementById('resetBindingsButton');
+const closeSettingsButton = document.getElementById('closeSettingsButton');
+
+let bindings = loadBindings();
+let lastInputDevice = 'keyboard'; // Which device the player used last; the gamepad's analog throttle only applies when it's this one
+let bindingCapture = null; // { device, action, baseline } while waiting for a new binding
+
+// Latest gamepad reading, refreshed every frame by pollGamepad()
+const gamepadState = {
+    connected: false,
+    throttle: 0, // 0..1
+    rotation: 0, // -1..1, positive turns clockwise
+    pressed: {} // Digital actions held on the last poll
+};
+
+// Key names are compared in lower case for letters, so P and p are the same binding
+function normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+// Read saved bindings, falling back to the defaults for anything missing
+function loadBindings() {
+    const loaded = JSON.parse(JSON.stringify(DEFAULT_BINDINGS));
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONTROLS_STORAGE_KEY));
+        if (saved) {
+            ['keyboard', 'gamepad'].forEach((device) => {
+                Object.keys(loaded[device]).forEach((action) => {
+                    if (saved[device] && typeof saved[device][action] === 'string') {
+                        loaded[device][action] = saved[device][action];
+                    }
+                });
+            });
+        }
+    } catch (error) {
+        // Unreadable or unavailable storage, keep the defaults
+    }
+    return loaded;
+}
+
+// Save the current bindings
+function saveBindings() {
+    try {
+        localStorage.setItem(CONTROLS_STORAGE_KEY, JSON.stringify(bindings));
+    } catch (error) {
+        // Storage unavailable (e.g. private browsing), bindings last until the page closes
+    }
+}
+
+// Which keyboard action a key is bound to, or null
+function getKeyAction(key) {
+    const normalized = normalizeKey(key);
+    return Object.keys(bindings.keyboard).find(action => bindings.keyboard[action] === normalized) || null;
+}
+
+// Check if the key bound to a keyboard action is held down
+function isActionHeld(action) {
+    return !!keys[bindings.keyboard[action]];
+}
+
+// Readable name for a key
+function formatKey(key) {
+    const names = {
+        ' ': 'Space',
+        'ArrowUp': 'Up Arrow',
+        'ArrowDown': 'Down Arrow',
+        'ArrowLeft': 'Left Arrow',
+        'ArrowRight': 'Right Arrow'
+    };
+    if (names[key]) return names[key];
+    return key.length === 1 ? key.toUpperCase() : key;
+}
+
+// Readable name for a gamepad control
+function formatGamepadControl(control) {
+    const [source, index] = control.replace('-', '').split(':');
+    const name = source === 'button' ? `Button ${index}` : `Axis ${index}`;
+    return control.startsWith('-') ? `${name} (reversed)` : name;
+}
+
+// Read one gamepad control as a number (buttons 0..1, axes -1..1)
+function readGamepadControl(gamepad, control) {
+    const reversed = control.startsWith('-');
+    const [source, indexText] = control.replace('-', '').split(':');
+    const index = parseInt(indexText, 10);
+
+    let value = 0;
+    if (source === 'button' && gamepad.buttons[index]) {
+        value = gamepad.buttons[index].value;
+    } else if (source === 'axis' && gamepad.axes[index] !== undefined) {
+        value = gamepad.axes[index];
+    }
+    return reversed ? -value : value;
+}
+
+// The first connected gamepad, or null
+function getGamepad() {
+    if (!navigator.getGamepads) return null;
+    const gamepads = navigator.getGamepads();
+    for (let i = 0; i < gamepads.length; i++) {
+        if (gamepads[i] && gamepads[i].connected) return gamepads[i];
+    }
+    return null;
+}
+
+// Read the gamepad once per frame: analog values for the next steps, and presses of its buttons
+function pollGamepad() {
+    const gamepad = getGamepad();
+    gamepadState.connected = !!gamepad;
+    if (!gamepad) {
+        gamepadState.throttle = 0;
+        gamepadState.rotation = 0;
+        gamepadState.pressed = {};
+        return;
+    }
+
+    if (bindingCapture && bindingCapture.device === 'gamepad') {
+        captureGamepadBinding(gamepad);
+        return;
+    }
+
+    gamepadState.throttle = Math.max(0, Math.min(1, readGamepadControl(gamepad, bindings.gamepad.throttle)));
+    const rotation = readGamepadControl(gamepad, bindings.gamepad.rotate);
+    gamepadState.rotation = Math.abs(rotation) < GAMEPAD_DEADZONE ? 0 : Math.max(-1, Math.min(1, rotation));
+
+    // Digital actions fire once when pressed
+    const pressed = {};
+    ['land', 'pilotMode', 'pause'].forEach((action) => {
+        pressed[action] = readGamepadControl(gamepad, bindings.gamepad[action]) > 0.5;
+        if (pressed[action] && !gamepadState.pressed[action] && !isSettingsOpen() && !isScoresOpen() && !isCampaignOpen() && !isEditorOpen()) {
+            if (action === 'land') {
+                handleLandPress();
+            } else if (action === 'pause') {
+                togglePause();
+            } else {
+                cyclePilotMode();
+            }
+        }
+    });
+    gamepadState.pressed = pressed;
+
+    if (gamepadState.throttle > 0.05 || gamepadState.rotation !== 0 || pressed.land || pressed.pilotMode) {
+        lastInputDevice = 'gamepad';
+    }
+}
+
+// Snapshot of every gamepad control, to tell what the player moved while remapping
+function readAllGamepadControls(gamepad) {
+    return {
+        buttons: gamepad.buttons.map(button => button.value),
+        axes: gamepad.axes.slice()
+    };
+}
+
+// Look for the control the player is moving to bind it
+function captureGamepadBinding(gamepad) {
+    const current = readAllGamepadControls(gamepad);
+    if (!bindingCapture.baseline) {
+        bindingCapture.baseline = current;
+        return;
+    }
+
+    const baseline = bindingCapture.baseline;
+    let control = null;
+    current.buttons.forEach((value, index) => {
+        if (!control && value - baseline.buttons[index] > GAMEPAD_CAPTURE_THRESHOLD) {
+            control = `button:${index}`;
+        }
+    });
+
+    // Only analog actions can use a stick axis; its direction is kept so the throttle can be a stick pushed up
+    if (!control && ANALOG_GAMEPAD_ACTIONS.includes(bindingCapture.action)) {
+        current.axes.forEach((value, index) => {
+            const change = value - baseline.axes[index];
+            if (!control && Math.abs(change) > GAMEPAD_CAPTURE_THRESHOLD) {
+                control = change > 0 ? `axis:${index}` : `-axis:${index}`;
+            }
+        });
+    }
+
+    if (control) {
+        finishBindingCapture(control);
+    }
+}
+
+// Handle a key press while remapping; returns true when the key was used for that (so it
+// doesn't also act, e.g. Escape doesn't pause)
+// Any key can be bound, Escape included since it's the pause key, so a keyboard binding is
+// cancelled by clicking it again; Escape cancels a gamepad binding
+function handleBindingKey(e) {
+    if (!bindingCapture) return false;
+    e.preventDefault();
+
+    if (bindingCapture.device === 'keyboard') {
+        finishBindingCapture(normalizeKey(e.key));
+    } else if (e.key === 'Escape') {
+        finishBindingCapture(null);
+    }
+    return true;
+}
+
+// Start waiting for a new binding
+function startBindingCapture(device, action) {
+    bindingCapture = { device: device, action: action, baseline: null };
+    bindingHintElement.textContent = device === 'keyboard'
+        ? `Press a key for "${BINDING_LABELS.keyboard[action]}" (click it again to cancel)`
+        : `Press a button or move a control for "${BINDING_LABELS.gamepad[action]}" (Escape to cancel)`;
+    renderBindings();
+}
+
+// Store the captured binding (null cancels)
+// A key or button already used elsewhere swaps places, so no action is left without one
+function finishBindingCapture(control) {
+    const { device, action } = bindingCapture;
+    bindingCapture = null;
+
+    if (control !== null) {
+        const deviceBindings = bindings[device];
+        const previous = deviceBindings[action];
+        Object.keys(deviceBindings).forEach((otherAction) => {
+            if (otherAction !== action && deviceBindings[otherAction] === control) {
+                deviceBindings[otherAction] = previous;
+            }
+        });
+        deviceBindings[action] = control;
+        saveBindings();
+    }
+
+    bindingHintElement.textContent = 'Click a binding to change it';
+    renderBindings();
+    updateControlsHint();
+}
+
+// Fill in the settings screen's binding buttons
+function renderBindings() {
+    [['keyboard', keyboardBindingsElement], ['gamepad', gamepadBindingsElement]].forEach(([device, listElement]) => {
+        listElement.innerHTML = '';
+        Object.keys(BINDING_LABELS[device]).forEach((action) => {
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+
+            const label = document.createElement('span');
+            label.textContent = BINDING_LABELS[device][action];
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            const capturing = bindingCapture && bindingCapture.device === device && bindingCapture.action === action;
+            if (capturing) {
+                button.textContent = '...';
+                button.classList.add('capturing');
+            } else {
+                const control = bindings[device][action];
+                button.textContent = device === 'keyboard' ? formatKey(control) : formatGamepadControl(control);
+            }
+            button.addEventListener('click', () => {
+                if (capturing) {
+                    finishBindingCapture(null);
+                } else {
+                    startBindingCapture(device, action);
+                }
+            });
+
+            row.appendChild(label);
+            row.appendChild(button);
+            listElement.appendChild(row);
+        });
+    });
+
+    gamepadStatusElement.textContent = gamepadState.connected ? 'Gamepad connected' : 'No gamepad detected (press a button on it)';
+}
+
+// Show the land key in the HUD hint
+function updateControlsHint() {
+    document.getElementById('controls-hint').textContent = `${formatKey(bindings.keyboard.land).toUpperCase()} to close the arms`;
+}
+
+// Check if the settings screen is showing
+function isSettingsOpen() {
+    return !settingsScreenElement.classList.contains('hidden');
+}
+
+// Show the settings screen
+function openSettings() {
+    settingsScreenElement.classList.remove('hidden');
+    bindingHintElement.textContent = 'Click a binding to change it';
+    renderBindings();
+}
+
+// Hide the settings screen
+function closeSettings() {
+    bindingCapture = null;
+    settingsScreenElement.classList.add('hidden');
+}
+
+resetBindingsButton.addEventListener('click', () => {
+    bindings = JSON.parse(JSON.stringify(DEFAULT_BINDINGS));
+    bindingCapture = null;
+    saveBindings();
+    bindingHintElement.textContent = 'Controls reset to defaults';
+    renderBindings();
+    updateControlsHint();
+});
+
+closeSettingsButton.addEventListener('click', () => {
+    closeSettings();
+});
+
+document.querySelectorAll('.controls-button').forEach((button) => {
+    button.addEventListener('click', () => {
+        button.blur();
+        openSettings();
+    });
+});
+
+window.addEventListener('gamepadconnected', () => {
+    if (isSettingsOpen()) renderBindings();
+});
+
+window.addEventListener('gamepaddisconnected', () => {
+    lastInputDevice = 'keyboard';
+    if (isSettingsOpen()) renderBindings();
+});
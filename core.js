@@ -0,0 +1,1716 @@
+// Falcon landing game core
+// The simulation - rocket, Mechazilla tower and its two catch arms, landing rules, scoring
+// and difficulty progression - with no DOM access. In the browser game.js draws it
+// and feeds it the player's input; in Node it runs headless with a local matter-js:
+//
+//     const { createSimulation, INPUT_THRUST } = require('./core');
+//     const sim = createSimulation();
+//     sim.startRound('abc123');
+//     while (sim.active) sim.step(INPUT_THRUST);
+//     console.log(sim.result.message, sim.result.levelScore);
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('matter-js'), require('./rng'));
+    } else {
+        // In the browser, rng.js defines its functions globally
+        root.FalconCore = factory(root.Matter, root);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Matter, SeededRandom) {
+    const Engine = Matter.Engine,
+          Bodies = Matter.Bodies,
+          Body = Matter.Body,
+          Composite = Matter.Composite,
+          Constraint = Matter.Constraint,
+          Events = Matter.Events,
+          Pairs = Matter.Pairs,
+          Vector = Matter.Vector;
+
+    // Game constants
+    const WORLD_WIDTH = 1200;
+    const WORLD_HEIGHT = 600; // Height of the view at ground level; the world carries on far above it
+    const WORLD_TOP = -7000; // Top of the world (y goes up into negative numbers above the ground-level view)
+    const START_Y = -5400; // Regular flights start between here and 200px lower, high above the tower
+    const GRAVITY = 0.25;
+    const THRUST_FORCE = 0.004;
+    const FUEL_CONSUMPTION_RATE = 0.3;
+    const INITIAL_FUEL = 500; // Propellant in fuel units (a full load)
+    const DRY_MASS = 6; // Mass of the empty rocket
+    const PROPELLANT_MASS = 3.8; // Mass of a full load of propellant, burned off as the fuel goes down
+    const LOW_FUEL_FRACTION = 0.2; // Fraction of a full load left when the low fuel warning goes off
+    const BASE_CATCH_ARM_WIDTH = 60; // Base width for difficulty level 1
+    const MAX_DIFFICULTY = 5;
+    const PHYSICS_STEP = 1000 / 60; // Milliseconds of simulated time per physics step (fixed, independent of the display's refresh rate)
+    const THROTTLE_CHANGE_RATE = 1.1; // How fast throttle changes per step (percentage points)
+
+    // Attitude control: the engine gimbals to push its thrust off-axis, and RCS thrusters near
+    // the top push sideways using their own gas, taking over as the throttle drops
+    const MAX_GIMBAL_ANGLE = 0.3; // Radians the engine can swivel either way
+    const GIMBAL_RATE = 0.03; // Radians per step the gimbal moves towards where it's steered
+    const RCS_FORCE = 0.0006; // Sideways force of the RCS thrusters at full output
+    const RCS_CUTOFF_THROTTLE = 40; // Throttle (%) from which the gimbal steers alone; below it the RCS helps, fully with the engine off
+    const RCS_GAS = 100; // RCS gas for a flight
+    const RCS_GAS_RATE = 0.4; // Gas used per step at full output
+    const REQUIRED_ALIGNMENT_DURATION = 30; // Simulation steps required to maintain alignment (half a second of simulated time)
+
+    // Air: drag grows with the square of the speed and with the air's density, which thins out with
+    // height, and a rocket falling sideways has several times the drag of one falling tail-first
+    const AIR_SCALE_HEIGHT = 1000; // Height over which the air thins to about a third
+    const DRAG_COEFFICIENT = 0.00012; // Drag force per unit of speed squared, tail-first in ground-level air
+    const SIDE_DRAG_FACTOR = 3; // How many times more drag the rocket has broadside on
+    const ANGULAR_DRAG = 0.012; // Fraction of the rocket's spin the air takes away per step at ground level
+    const MAX_ENTRY_LOAD = 2; // Drag, in multiples of the rocket's weight, that breaks it up (its max-Q limit)
+
+    // Flight profile: after stage separation the rocket is heading up and away from the tower. The
+    // boostback burn turns it around, it coasts up high, needs an entry burn to keep the drag within
+    // limits as it comes down into thicker air, and a landing burn to stop at the tower
+    const FLIGHT_PHASES = ['boostback', 'coast', 'entry', 'landing'];
+    const ENTRY_ALTITUDE = 4000; // Height below which the rocket is in the entry phase
+    const LANDING_ALTITUDE = 1500; // Height below which it's in the landing burn phase
+    const BOOSTBACK_DONE_SPEED = 0.3; // Speed away from the target below which the boostback is done
+    const BOOSTBACK_ROOM_STEPS = 200; // Steps a regular start leaves before the rocket would reach the side of the world
+    const LANDING_BURN_PAR = 10; // Seconds the landing burn phase should take at most for its full score
+
+    // Rocket dimensions and the catch points near its top
+    const ROCKET_WIDTH = 14;
+    const ROCKET_HEIGHT = 70;
+    const CATCH_POINT_OFFSET_X = ROCKET_WIDTH / 2 + 2; // Catch points stick out 2px from each side
+    const CATCH_POINT_OFFSET_Y = -ROCKET_HEIGHT / 2 + 15; // 15px below the top of the rocket
+    const ENGINE_OFFSET_Y = ROCKET_HEIGHT / 2; // The engine's gimbal point, at the bottom of the rocket
+    const RCS_OFFSET_Y = -ROCKET_HEIGHT / 2 + 5; // RCS thrusters, 5px below the top
+    const DEBRIS_PIECES = 6; // Pieces the rocket breaks into when it's destroyed
+    const DEBRIS_SPEED = 1.2; // How hard the pieces fly apart
+
+    // Mechazilla tower layout (missions can move the tower and change its height, see getTowerLayout())
+    const PAD_Y = WORLD_HEIGHT - 20;
+    const CHOPSTICK_HEIGHT = 160; // Make it taller since there's no landing pad
+    const TOWER_HALF_WIDTH = 5;
+    const CATCH_ARM_DROP = 30; // Distance below the top of the tower where the catch arms rest
+    const CATCH_ARM_HEIGHT = 8;
+
+    // Catch arm mechanics: the arms ride a carriage up and down the tower, and swing up
+    // from hanging open to level to close under the rocket's catch points
+    const ARM_TOP_DROP = 10; // Highest the carriage can go, below the top of the tower
+    const ARM_BOTTOM_CLEARANCE = 60; // Lowest it can go above the pad, leaving room for the rocket below the arms
+    const ARM_SLIDE_SPEED = 1.5; // Pixels per step
+    const ARM_CLOSE_STEPS = 40; // Steps the arms take to swing closed (two thirds of a second)
+    const ARM_OPEN_ANGLE = 1.1; // Radians the arms hang below level when open
+
+    // Input bits for one simulation step (also what replays record)
+    const INPUT_THRUST = 1;
+    const INPUT_LEFT = 2;
+    const INPUT_RIGHT = 4;
+    const INPUT_LAND = 8;
+    const ALL_INPUT_BITS = INPUT_THRUST | INPUT_LEFT | INPUT_RIGHT | INPUT_LAND;
+    const ANALOG_RESOLUTION = 1000; // Analog inputs are rounded to 1/1000 so recordings reproduce them exactly
+
+    // How each flight can end (destroyed ones break the rocket into debris)
+    const OUTCOMES = {
+        catch: { message: 'Perfect Mechazilla Catch!', success: true },
+        landingNotUpright: { message: 'Landing Failed: Not Upright!', success: false },
+        landingTooFast: { message: 'Landing Failed: Too Fast!', success: false },
+        landingNotAligned: { message: 'Landing Failed: Not Aligned!', success: false },
+        towerContact: { message: 'Almost! Missed the catch arm.', success: false },
+        crashTooFast: { message: 'Rocket Crashed: Too Fast!', success: false, destroyed: true },
+        crashNotUpright: { message: 'Rocket Crashed: Not Upright!', success: false, destroyed: true },
+        crashMissedTarget: { message: 'Crash: Missed Target!', success: false },
+        crashObstacle: { message: 'Crash: Hit an Obstacle!', success: false, destroyed: true },
+        padLanding: { message: 'Drone Ship Landing!', success: true },
+        crashSea: { message: 'Crash: Lost at Sea!', success: false, destroyed: true },
+        breakup: { message: 'Vehicle Lost: Broke Up on Entry!', success: false, destroyed: true }
+    };
+
+    // Landing rules: how slow, upright and lined up a catch must be, and what it scores
+    // Each difficulty level overrides some of these defaults (see getLandingRules())
+    const LANDING_RULES = {
+        // Tolerances
+        maxSpeed: 3, // Fastest a catch or a tower contact can be without counting as a crash
+        maxTilt: 0.35, // Radians either side of upright
+        horizontalTolerance: 0.5, // Fraction of the arm width each catch point can be off its arm tip
+        verticalTolerance: 12, // Pixels each catch point can be above or below its arm tip
+        // Bonuses
+        catchPoints: 2000,
+        towerContactPoints: 300, // For touching the tower slowly and upright, though it's still a miss
+        speedBonuses: [ // The first one the catch is slower than applies
+            { below: 1.2, label: 'Perfect Landing Speed', points: 300 },
+            { below: 1.8, label: 'Good Landing Speed', points: 150 }
+        ],
+        fuelPointsPerPercent: 10, // For each percent of a full fuel load left
+        boostbackPoints: 150, // For turning back towards the target on a flight that started heading away
+        entryPoints: 300, // For coming through entry, less the share of the max-Q limit the peak drag reached
+        landingBurnPoints: 200, // For a landing burn phase of LANDING_BURN_PAR seconds or less, down to none at twice that
+        difficultyMultiplier: 1, // Scales a catch's points
+        // Penalties
+        tiltPenaltyPerDegree: 10, // For each degree off upright at the catch
+        offsetPenaltyPerPixel: 10 // For each pixel the worse catch point is off its arm tip
+    };
+    const LANDING_RULE_LEVELS = [
+        null,
+        {},
+        { difficultyMultiplier: 1.25 },
+        { maxSpeed: 2.75, difficultyMultiplier: 1.5 },
+        { maxSpeed: 2.75, difficultyMultiplier: 1.75 },
+        { maxSpeed: 2.5, difficultyMultiplier: 2 }
+    ];
+
+    // Wind for each difficulty level (index 0 unused), in the same units as the rocket's velocity:
+    // steady wind of up to `steady` either way, gusts of up to `gust` on top of it, and
+    // turbulence of up to `turbulence` that only shakes the rocket near the tower
+    const WIND_LEVELS = [
+        null,
+        { steady: 0.3, gust: 0, turbulence: 0.1 },
+        { steady: 0.6, gust: 0.5, turbulence: 0.25 },
+        { steady: 1.0, gust: 1.0, turbulence: 0.4 },
+        { steady: 1.4, gust: 1.5, turbulence: 0.6 },
+        { steady: 1.8, gust: 2.0, turbulence: 0.8 }
+    ];
+    const WIND_FORCE = 0.0002; // Force on the rocket per unit of wind
+    const GUST_CHANCE = 1 / 240; // Chance per step of a gust starting (about one every 4 seconds)
+    const TURBULENCE_RADIUS = 250; // Distance from the tower top within which turbulence is felt
+
+    // Flight recordings (replays)
+    const RECORDING_FORMAT = 'falcon-replay';
+    const RECORDING_VERSION = 9; // Version 9 adds drag that depends on height and attitude and boostback starts, which older flights can't be replayed with
+    const START_STATE_FIELDS = ['difficulty', 'x', 'y', 'angle', 'velocityX', 'velocityY', 'angularVelocity', 'fuel', 'rcsGas',
+                                'windSpeed', 'windGust', 'windTurbulence', 'windSeed', 'towerOperator'];
+
+    // Missions: a scenario described in JSON (see parseMission() for the fields)
+    const MISSION_FORMAT = 'falcon-mission';
+    const MISSION_VERSION = 2; // Version 2 added drone ship missions, engine failures and star ratings
+    const MAX_OBSTACLES = 20;
+    const MAX_STAR_CRITERIA = 2; // A mission flown successfully earns one star, plus one for each of these it meets
+
+    // Drone ship missions land on a ship's deck at sea instead of being caught by the tower
+    const DRONE_SHIP_HEIGHT = 16;
+    const DRONE_SHIP_SWAY_PERIOD = 360; // Steps for the ship to sway side to side and back (six seconds)
+
+    // Calculate the catch arm width based on difficulty level
+    function calculateCatchArmWidth(level) {
+        // Decrease width as difficulty increases
+        // Difficulty 1: 100% of base width
+        // Difficulty 5: 40% of base width
+        const scaleFactor = 1 - ((level - 1) * 0.15);
+        return Math.max(20, Math.round(BASE_CATCH_ARM_WIDTH * scaleFactor));
+    }
+
+    // World position of one of the rocket's catch points (side is 1 for right, -1 for left)
+    function getCatchPointPosition(rocket, side) {
+        const catchPointX = side * CATCH_POINT_OFFSET_X;
+        const catchPointY = CATCH_POINT_OFFSET_Y;
+
+        // Transform the catch point position based on rocket's position and angle
+        return {
+            x: rocket.position.x + Math.cos(rocket.angle) * catchPointX - Math.sin(rocket.angle) * catchPointY,
+            y: rocket.position.y + Math.sin(rocket.angle) * catchPointX + Math.cos(rocket.angle) * catchPointY
+        };
+    }
+
+    // Where the tip of a catch arm is once closed, which is where the rocket's catch point on the
+    // same side must be to be caught (side is 1 for right, -1 for left)
+    function getCatchArmTip(sim, side) {
+        return {
+            x: getCatchSeatX(sim.layout) + side * CATCH_POINT_OFFSET_X,
+            y: sim.arms ? sim.arms.y : sim.layout.armY
+        };
+    }
+
+    // Where the tower and its arms stand for a flight: the regular tower in the middle, or a mission's
+    function getTowerLayout(level, mission) {
+        const x = mission ? mission.tower.x : WORLD_WIDTH / 2;
+        const height = mission ? mission.tower.height : CHOPSTICK_HEIGHT;
+        const top = PAD_Y - height;
+        return {
+            x: x, // Centre of the tower
+            top: top,
+            height: height,
+            faceX: x + TOWER_HALF_WIDTH, // Right side of the tower, where the arms are mounted
+            armY: top + CATCH_ARM_DROP, // Where the arms rest
+            armTopY: top + ARM_TOP_DROP, // Highest the carriage can go
+            armBottomY: PAD_Y - ARM_BOTTOM_CLEARANCE, // Lowest it can go
+            armWidth: mission && mission.armWidth ? mission.armWidth : calculateCatchArmWidth(level)
+        };
+    }
+
+    // Read a mission from JSON (text, or an already parsed object), filling in defaults for
+    // anything left out and throwing if it can't be flown. Fields:
+    //   name, description
+    //   difficulty       - level (1-5) for the landing rules, and the arm width, start and wind left to it
+    //   tower            - { x, height }: centre of the tower and height of the chopstick tower
+    //   armWidth         - width of each catch arm, or null for the difficulty's
+    //   spawn            - ranges ([min, max]) the start is picked from: x, y, angle, velocityX,
+    //                      velocityY and angularVelocity; any left out are the difficulty's
+    //                      (y can go up to WORLD_TOP; left out, the flight starts high above the tower)
+    //   gravity, fuel    - gravity, and fuel as a percentage of a full load
+    //   wind             - { steady, gust, turbulence } (steady is signed, positive blows right),
+    //                      or null for the difficulty's random wind
+    //   obstacles        - [{ x, y, width, height }] solid blocks (x and y are their centres)
+    //   par              - score to beat, or null
+    //   landingRules     - overrides for the difficulty's landing rules (numbers only, see LANDING_RULES)
+    //   goal             - 'catch' for the tower's arms, or 'pad' to land on a drone ship at sea
+    //   pad              - { x, width, sway }: the drone ship's centre, deck width and how far it sways either way
+    //   engineOut        - { at, duration } in seconds: the engine won't fire for that long, or null
+    //   stars            - up to two criteria ({ score, fuel, speed, time }, any combination) each earning
+    //                      a star on top of the one for success: at least that score, fuel percentage left,
+    //                      landing below that speed, or landing within that many seconds
+    function parseMission(input) {
+        const data = typeof input === 'string' ? JSON.parse(input) : input;
+        if (!data || typeof data !== 'object' || Array.isArray(data) ||
+            (data.format !== undefined && data.format !== MISSION_FORMAT)) {
+            throw new Error('Not a Falcon mission file');
+        }
+        if (data.version > MISSION_VERSION) {
+            throw new Error(`Unsupported mission version ${data.version}`);
+        }
+
+        // A number within limits, or the fallback when left out (required when there's no fallback)
+        function number(value, fallback, min, max, name) {
+            if ((value === undefined || value === null) && fallback !== undefined) return fallback;
+            if (!Number.isFinite(value) || value < min || value > max) {
+                throw new Error(`Mission ${name} must be a number from ${min} to ${max}`);
+            }
+            return value;
+        }
+
+        // A [min, max] range within limits, or null when left out
+        function range(value, min, max, name) {
+            if (value === undefined || value === null) return null;
+            if (!Array.isArray(value) || value.length !== 2) {
+                throw new Error(`Mission ${name} must be a [min, max] range`);
+            }
+            const low = number(value[0], undefined, min, max, name);
+            const high = number(value[1], undefined, min, max, name);
+            if (low > high) {
+                throw new Error(`Mission ${name} range must go from low to high`);
+            }
+            return [low, high];
+        }
+
+        // Each entry in one of the mission's lists has to be an object of fields
+        function checkListEntries(list, name) {
+            list.forEach((value, index) => {
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    throw new Error(`Mission ${name} ${index + 1} must be an object`);
+                }
+            });
+        }
+
+        // One of the mission's groups of fields, empty when it's left out
+        function fieldGroup(value, name) {
+            if (value === undefined || value === null) return {};
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error(`Mission ${name} must be an object`);
+            }
+            return value;
+        }
+
+        const difficulty = number(data.difficulty, 1, 1, MAX_DIFFICULTY, 'difficulty');
+        if (!Number.isInteger(difficulty)) {
+            throw new Error('Mission difficulty must be a whole number');
+        }
+        const armWidth = number(data.armWidth, null, 10, 120, 'arm width');
+
+        // The arms reach out to the right of the tower, so leave room for them
+        const tower = fieldGroup(data.tower, 'tower');
+        const armsReach = TOWER_HALF_WIDTH + 2 * ((armWidth || calculateCatchArmWidth(difficulty)) + CATCH_POINT_OFFSET_X);
+        const towerX = number(tower.x, WORLD_WIDTH / 2, 40, WORLD_WIDTH - armsReach - 10, 'tower x');
+        const towerHeight = number(tower.height, CHOPSTICK_HEIGHT, 100, 400, 'tower height');
+
+        const spawn = fieldGroup(data.spawn, 'spawn');
+        const wind = data.wind === undefined || data.wind === null ? null : fieldGroup(data.wind, 'wind');
+        const obstacles = data.obstacles || [];
+        if (!Array.isArray(obstacles) || obstacles.length > MAX_OBSTACLES) {
+            throw new Error(`Mission obstacles must be a list of up to ${MAX_OBSTACLES}`);
+        }
+        checkListEntries(obstacles, 'obstacle');
+
+        const goal = data.goal === undefined ? 'catch' : data.goal;
+        if (goal !== 'catch' && goal !== 'pad') {
+            throw new Error('Mission goal must be "catch" or "pad"');
+        }
+        const pad = fieldGroup(data.pad, 'pad');
+        const padWidth = number(pad.width, 90, ROCKET_WIDTH * 3, 300, 'pad width');
+        const padSway = number(pad.sway, 0, 0, 200, 'pad sway');
+        const padX = number(pad.x, WORLD_WIDTH / 2, padWidth / 2 + padSway, WORLD_WIDTH - padWidth / 2 - padSway, 'pad x');
+
+        const engineOut = data.engineOut;
+        const stars = data.stars || [];
+        if (!Array.isArray(stars) || stars.length > MAX_STAR_CRITERIA) {
+            throw new Error(`Mission stars must be a list of up to ${MAX_STAR_CRITERIA} criteria`);
+        }
+        checkListEntries(stars, 'star');
+
+        const landingRules = {};
+        Object.keys(data.landingRules || {}).forEach((rule) => {
+            if (typeof LANDING_RULES[rule] !== 'number') {
+                throw new Error(`Unknown landing rule ${rule}`);
+            }
+            landingRules[rule] = number(data.landingRules[rule], undefined, 0, 100000, `landing rule ${rule}`);
+        });
+
+        return {
+            format: MISSION_FORMAT,
+            version: MISSION_VERSION,
+            name: typeof data.name === 'string' && data.name ? data.name : 'Untitled mission',
+            description: typeof data.description === 'string' ? data.description : '',
+            difficulty: difficulty,
+            tower: { x: towerX, height: towerHeight },
+            armWidth: armWidth,
+            spawn: {
+                x: range(spawn.x, ROCKET_HEIGHT / 2, WORLD_WIDTH - ROCKET_HEIGHT / 2, 'spawn x'),
+                y: range(spawn.y, WORLD_TOP + ROCKET_HEIGHT / 2, PAD_Y - ROCKET_HEIGHT, 'spawn y'),
+                angle: range(spawn.angle, -Math.PI, Math.PI, 'spawn angle'),
+                velocityX: range(spawn.velocityX, -10, 10, 'spawn velocityX'),
+                velocityY: range(spawn.velocityY, -10, 10, 'spawn velocityY'),
+                angularVelocity: range(spawn.angularVelocity, -0.2, 0.2, 'spawn angularVelocity')
+            },
+            gravity: number(data.gravity, GRAVITY, 0.05, 1, 'gravity'),
+            fuel: number(data.fuel, 100, 0, 100, 'fuel'),
+            wind: wind === null ? null : {
+                steady: number(wind.steady, 0, -5, 5, 'wind steady'),
+                gust: number(wind.gust, 0, 0, 5, 'wind gust'),
+                turbulence: number(wind.turbulence, 0, 0, 5, 'wind turbulence')
+            },
+            obstacles: obstacles.map(obstacle => ({
+                x: number(obstacle.x, undefined, 0, WORLD_WIDTH, 'obstacle x'),
+                y: number(obstacle.y, undefined, WORLD_TOP, WORLD_HEIGHT, 'obstacle y'),
+                width: number(obstacle.width, undefined, 5, WORLD_WIDTH, 'obstacle width'),
+                height: number(obstacle.height, undefined, 5, WORLD_HEIGHT - WORLD_TOP, 'obstacle height')
+            })),
+            par: number(data.par, null, 0, 100000, 'par'),
+            landingRules: landingRules,
+            goal: goal,
+            pad: goal === 'pad' ? { x: padX, width: padWidth, sway: padSway } : null,
+            engineOut: engineOut === undefined || engineOut === null ? null : {
+                at: number(engineOut.at, undefined, 0, 600, 'engine out time'),
+                duration: number(engineOut.duration, undefined, 0, 600, 'engine out duration')
+            },
+            stars: stars.map((star) => {
+                const criterion = {
+                    score: number(star.score, null, 0, 100000, 'star score'),
+                    fuel: number(star.fuel, null, 0, 100, 'star fuel'),
+                    speed: number(star.speed, null, 0, 10, 'star speed'),
+                    time: number(star.time, null, 0, 600, 'star time')
+                };
+                if (Object.keys(criterion).every(key => criterion[key] === null)) {
+                    throw new Error('Mission stars need a score, fuel, speed or time to meet');
+                }
+                return criterion;
+            })
+        };
+    }
+
+    // Describe a star criterion, e.g. 'Score 3000+ and land below 1.2 m/s'
+    function describeStarCriterion(criterion) {
+        const parts = [];
+        if (criterion.score !== null) parts.push(`score ${criterion.score}+`);
+        if (criterion.fuel !== null) parts.push(`keep ${criterion.fuel}% fuel`);
+        if (criterion.speed !== null) parts.push(`land below ${criterion.speed} m/s`);
+        if (criterion.time !== null) parts.push(`land within ${criterion.time} s`);
+        const text = parts.join(' and ');
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    // Stars for a mission flight: none for a failure, one for success and one more for each
+    // of the mission's star criteria met. Returns { stars, criteria: [{ label, met }] }
+    function rateFlight(mission, landing, score, time) {
+        const criteria = mission.stars.map(criterion => ({
+            label: describeStarCriterion(criterion),
+            met: landing.success &&
+                 (criterion.score === null || score >= criterion.score) &&
+                 (criterion.fuel === null || landing.fuelPercent >= criterion.fuel) &&
+                 (criterion.speed === null || landing.landingVelocity < criterion.speed) &&
+                 (criterion.time === null || time <= criterion.time)
+        }));
+        return {
+            stars: landing.success ? 1 + criteria.filter(criterion => criterion.met).length : 0,
+            criteria: criteria
+        };
+    }
+
+    // Rocket mass with a given amount of fuel on board
+    function getRocketMass(fuel) {
+        return DRY_MASS + PROPELLANT_MASS * Math.max(0, fuel) / INITIAL_FUEL;
+    }
+
+    // Fuel, burn time and thrust-to-weight readings for a simulation's rocket
+    function getFuelStatus(sim) {
+        const weight = sim.rocket.mass * sim.engine.gravity.y * sim.engine.gravity.scale;
+        const throttlePercent = sim.throttleLevel / 100;
+        const burnRate = FUEL_CONSUMPTION_RATE * (throttlePercent * 0.8 + 0.2); // Fuel per step at the current throttle
+        const stepsPerSecond = 1000 / PHYSICS_STEP;
+        return {
+            percent: sim.fuel / INITIAL_FUEL * 100,
+            mass: sim.rocket.mass,
+            burnTime: throttlePercent > 0 ? sim.fuel / burnRate / stepsPerSecond : Infinity, // Seconds left at the current throttle
+            fullThrottleBurnTime: sim.fuel / FUEL_CONSUMPTION_RATE / stepsPerSecond,
+            twr: sim.fuel > 0 ? THRUST_FORCE * throttlePercent / weight : 0, // Thrust-to-weight at the current throttle
+            maxTwr: sim.fuel > 0 ? THRUST_FORCE / weight : 0, // ...and at full throttle
+            lowFuel: sim.fuel < INITIAL_FUEL * LOW_FUEL_FRACTION
+        };
+    }
+
+    // Density of the air at a height above the ground, as a fraction of its density at ground level
+    function getAirDensity(altitude) {
+        return Math.exp(-Math.max(0, altitude) / AIR_SCALE_HEIGHT);
+    }
+
+    // Height and descent readings for a simulation's rocket: altitude is from its base down to the
+    // ground, stoppingDistance is how far it falls before a landing burn started now could stop it
+    // (ramping the throttle up to full, then braking at full thrust, not counting the drag),
+    // terminalVelocity is the speed it would fall at tail-first in the air at its height, and load
+    // is the drag on it in multiples of its weight (it breaks up above maxLoad)
+    function getDescentStatus(sim) {
+        const rocket = sim.rocket;
+        const weight = rocket.mass * sim.engine.gravity.y * sim.engine.gravity.scale;
+        const gravityPerStep = sim.engine.gravity.y * sim.engine.gravity.scale * PHYSICS_STEP * PHYSICS_STEP;
+        const braking = (getFuelStatus(sim).maxTwr - 1) * gravityPerStep; // Deceleration at full throttle, px/step²
+        const altitude = PAD_Y - (rocket.position.y + ROCKET_HEIGHT / 2);
+        const descentSpeed = Math.max(0, rocket.velocity.y);
+        const rampSteps = (100 - sim.throttleLevel) / THROTTLE_CHANGE_RATE;
+        return {
+            altitude: altitude,
+            descentSpeed: descentSpeed,
+            stoppingDistance: braking > 0 ? descentSpeed * rampSteps + descentSpeed * descentSpeed / (2 * braking) : Infinity,
+            terminalVelocity: Math.sqrt(Math.max(0, weight) / (DRAG_COEFFICIENT * getAirDensity(altitude))),
+            load: sim.entryLoad,
+            maxLoad: MAX_ENTRY_LOAD
+        };
+    }
+
+    // Landing rules for a difficulty level: the defaults with the level's overrides
+    function getLandingRules(level) {
+        return Object.assign({}, LANDING_RULES, LANDING_RULE_LEVELS[level]);
+    }
+
+    // How far the rocket is tilted from upright, in radians from -PI to PI (positive is clockwise)
+    function getTilt(angle) {
+        const tilt = angle % (2 * Math.PI);
+        if (tilt > Math.PI) return tilt - 2 * Math.PI;
+        if (tilt < -Math.PI) return tilt + 2 * Math.PI;
+        return tilt;
+    }
+
+    // Create the rocket's physics body (catch points are drawn on top of it)
+    function createRocketBody(x, y) {
+        return Bodies.rectangle(x, y, ROCKET_WIDTH, ROCKET_HEIGHT, {
+            density: 0.01,
+            frictionAir: 0, // The simulation applies the air's drag itself (see applyDrag())
+            restitution: 0.15,
+            render: {
+                visible: false // Drawn by the view at its interpolated position
+            }
+        });
+    }
+
+    // Where the catch arms hold the rocket: its centre when both catch points rest on the arms' tips
+    function getCatchSeatX(layout) {
+        return layout.faceX + layout.armWidth + CATCH_POINT_OFFSET_X;
+    }
+
+    // Create one of the two chopstick arms for a tower layout (side is 1 for right, -1 for left)
+    // The arms flank the rocket's seat: the left one reaches out from the tower to the rocket's
+    // left catch point, the right one starts at its right catch point and reaches further out
+    function createCatchArm(layout, side) {
+        const catchArmWidth = layout.armWidth;
+        const tipX = getCatchSeatX(layout) + side * CATCH_POINT_OFFSET_X;
+        return Bodies.rectangle(
+            tipX + side * catchArmWidth / 2,
+            layout.armY,
+            catchArmWidth,
+            CATCH_ARM_HEIGHT,
+            {
+                isStatic: true,
+                render: {
+                    fillStyle: '#888888',
+                    lineWidth: 2
+                },
+                collisionFilter: {
+                    group: -1,  // Negative group means it won't collide with anything
+                    category: 0x0002,
+                    mask: 0x0000  // Won't collide with any category
+                }
+            }
+        );
+    }
+
+    // Create the carriage the catch arms ride on, drawn on the tower at the arms' height
+    function createArmCarriage(layout) {
+        return Bodies.rectangle(layout.x, layout.armY, 16, 14, {
+            isStatic: true,
+            render: {
+                fillStyle: '#777777'
+            },
+            collisionFilter: {
+                group: -1,
+                category: 0x0002,
+                mask: 0x0000
+            }
+        });
+    }
+
+    // Create one of a mission's obstacles
+    function createObstacle(obstacle) {
+        return Bodies.rectangle(obstacle.x, obstacle.y, obstacle.width, obstacle.height, {
+            isStatic: true,
+            render: { fillStyle: '#8a5a3c' }
+        });
+    }
+
+    // Generate random starting conditions with increasing difficulty
+    // A mission can set the ranges any of them are picked from, and the fuel and wind
+    function generateStartState(rng, difficultyLevel, mission) {
+        // Calculate randomness based on difficulty level
+        const difficultyFactor = 1 + (difficultyLevel - 1) * 0.2; // Each level increases randomness by 20%
+
+        let randomX;
+        // Calculate distance from catch arm based on difficulty
+        // Difficulty 1: Start between 60% and 70% of canvas width (close to catch arm)
+        // Difficulty 2-3: Start between 20% and 30% of canvas width (far from catch arm)
+        // Difficulty 4-5: Start between 20% and 30% of canvas width on the left side
+        const maxDistance = 0.40; // Maximum distance from center
+        const minDistance = 0.20; // Minimum distance from center
+        const distanceRange = 0.10; // Range of random variation
+
+        // Linear interpolation between max and min distance based on difficulty
+        const baseDistance = minDistance + ((Math.min(difficultyLevel, 3) - 1) / 2) * (maxDistance - minDistance);
+
+        // For difficulty levels 4 and 5, start from the left side
+        if (difficultyLevel >= 4) {
+            randomX = WORLD_WIDTH * (0.5 - (baseDistance + rng() * distanceRange));
+        } else {
+            randomX = WORLD_WIDTH * (0.5 + (baseDistance + rng() * distanceRange));
+        }
+
+        // Keep clear of the side walls, which the left-side starts could otherwise overlap
+        randomX = Math.max(ROCKET_HEIGHT, Math.min(WORLD_WIDTH - ROCKET_HEIGHT, randomX));
+
+        const randomY = START_Y + rng() * 200; // Far enough up to fall freely before the landing burn
+        const randomAngle = (rng() - 0.5) * (0.2 * difficultyFactor); // Larger initial tilt with difficulty
+
+        // Random initial velocity with much more variance
+        const speedVariance = 3.5 * difficultyFactor; // Increased from 2 to 3.5 for more variance
+        let randomVelocityX = (rng() - 0.5) * speedVariance; // More extreme horizontal velocity
+
+        // Random Y velocity can now be both positive and negative (sometimes rocket moving up)
+        let randomVelocityY = difficultyFactor + (rng() * 2 - 0.8) * difficultyFactor; // More variable vertical speed
+
+        // Sometimes add a sudden "burst" of velocity for extra challenge
+        if (difficultyLevel > 1 && rng() < 0.3) {
+            // 30% chance of a burst in a random direction
+            const burstAngle = rng() * Math.PI * 2; // Random direction
+            const burstMagnitude = 1 + rng() * difficultyFactor; // Random strength
+
+            // Add the burst component to initial velocity
+            randomVelocityX += Math.cos(burstAngle) * burstMagnitude;
+            randomVelocityY += Math.sin(burstAngle) * burstMagnitude;
+        }
+
+        const randomAngularVelocity = (rng() - 0.5) * (0.04 * difficultyFactor); // Doubled angular velocity randomness
+
+        // Just after stage separation the rocket is still heading up and away from the tower, as fast
+        // as there's room for before the side of the world: the boostback burn has to turn it around
+        const away = randomX > WORLD_WIDTH / 2 ? 1 : -1;
+        const room = away > 0 ? WORLD_WIDTH - randomX : randomX;
+        randomVelocityX = away * Math.min(Math.abs(randomVelocityX) + 0.5, (room - ROCKET_HEIGHT) / BOOSTBACK_ROOM_STEPS);
+        randomVelocityY = -1 - Math.abs(randomVelocityY);
+
+        // Wind for the flight; gusts and turbulence are drawn from their own generator while flying
+        const windLevel = WIND_LEVELS[Math.min(difficultyLevel, MAX_DIFFICULTY)];
+        const windSpeed = (rng() * 2 - 1) * windLevel.steady;
+        const windSeed = Math.floor(rng() * 4294967296);
+
+        const startState = {
+            difficulty: difficultyLevel,
+            x: randomX,
+            y: randomY,
+            angle: randomAngle,
+            velocityX: randomVelocityX,
+            velocityY: randomVelocityY,
+            angularVelocity: randomAngularVelocity,
+            fuel: INITIAL_FUEL,
+            rcsGas: RCS_GAS,
+            windSpeed: windSpeed,
+            windGust: windLevel.gust,
+            windTurbulence: windLevel.turbulence,
+            windSeed: windSeed
+        };
+
+        if (mission) {
+            ['x', 'y', 'angle', 'velocityX', 'velocityY', 'angularVelocity'].forEach((field) => {
+                const range = mission.spawn[field];
+                if (range) {
+                    startState[field] = range[0] + rng() * (range[1] - range[0]);
+                }
+            });
+            startState.fuel = INITIAL_FUEL * mission.fuel / 100;
+            if (mission.wind) {
+                startState.windSpeed = mission.wind.steady;
+                startState.windGust = mission.wind.gust;
+                startState.windTurbulence = mission.wind.turbulence;
+            }
+            startState.mission = mission; // Flown with the mission's tower, gravity and obstacles
+        }
+
+        return startState;
+    }
+
+    // Round an analog value to the resolution recordings store, as an integer
+    function quantizeAnalog(value, min, max) {
+        const clamped = Math.max(min, Math.min(max, Number(value) || 0));
+        return Math.round(clamped * ANALOG_RESOLUTION);
+    }
+
+    // Encode a step's input the way recordings store it
+    // Input is either a number of INPUT_* bits, or an analog input object:
+    //   { throttle: 0..1, rotation: -1..1, land: true, thrust/left/right: true }
+    // where throttle sets the throttle directly (instead of ramping it) and rotation
+    // turns proportionally. Digital input is stored as its bits, analog input as
+    // [bits, throttle, rotation] with throttle (or null) and rotation in thousandths.
+    function encodeInput(input) {
+        if (typeof input === 'number') {
+            return input & ALL_INPUT_BITS;
+        }
+        if (Array.isArray(input)) {
+            return input; // Already encoded (e.g. read back from a recording)
+        }
+
+        let bits = 0;
+        if (input.thrust) bits |= INPUT_THRUST;
+        if (input.left) bits |= INPUT_LEFT;
+        if (input.right) bits |= INPUT_RIGHT;
+        if (input.land) bits |= INPUT_LAND;
+
+        const hasThrottle = input.throttle !== undefined && input.throttle !== null;
+        const rotation = quantizeAnalog(input.rotation, -1, 1);
+        if (!hasThrottle && rotation === 0) {
+            return bits;
+        }
+        return [bits, hasThrottle ? quantizeAnalog(input.throttle, 0, 1) : null, rotation];
+    }
+
+    // Turn an encoded input back into control values
+    function decodeInput(encoded) {
+        if (typeof encoded === 'number') {
+            return { bits: encoded, throttle: null, rotation: 0 };
+        }
+        return {
+            bits: encoded[0],
+            throttle: encoded[1] === null ? null : encoded[1] / ANALOG_RESOLUTION,
+            rotation: encoded[2] / ANALOG_RESOLUTION
+        };
+    }
+
+    // Check one entry of a recording's inputs
+    function isValidRecordedInput(input) {
+        const isBits = (value) => Number.isInteger(value) && value >= 0 && value <= ALL_INPUT_BITS;
+        if (!Array.isArray(input)) {
+            return isBits(input);
+        }
+        return input.length === 3 && isBits(input[0]) &&
+               (input[1] === null || (Number.isInteger(input[1]) && input[1] >= 0 && input[1] <= ANALOG_RESOLUTION)) &&
+               Number.isInteger(input[2]) && Math.abs(input[2]) <= ANALOG_RESOLUTION;
+    }
+
+    // Start a new, empty recording for a flight
+    function createRecording(seed, startState) {
+        return {
+            format: RECORDING_FORMAT,
+            version: RECORDING_VERSION,
+            seed: seed,
+            recordedAt: new Date().toISOString(),
+            start: { ...startState },
+            inputs: [],
+            outcome: null,
+            success: false,
+            score: 0
+        };
+    }
+
+    // Read a recording from exported JSON, throwing if it isn't a usable replay
+    function parseRecording(text) {
+        const recording = JSON.parse(text);
+        if (!recording || recording.format !== RECORDING_FORMAT) {
+            throw new Error('Not a Falcon replay file');
+        }
+        if (recording.version < RECORDING_VERSION) {
+            throw new Error('Replay was recorded with an older version of the game and can\'t be replayed');
+        }
+        if (recording.version !== RECORDING_VERSION) {
+            throw new Error(`Unsupported replay version ${recording.version}`);
+        }
+
+        const start = recording.start || {};
+        if (!START_STATE_FIELDS.every(field => Number.isFinite(start[field]))) {
+            throw new Error('Replay is missing its starting state');
+        }
+        if (!Array.isArray(recording.inputs) || !recording.inputs.every(isValidRecordedInput)) {
+            throw new Error('Replay inputs are corrupt');
+        }
+        if (start.mission !== undefined) {
+            start.mission = parseMission(start.mission);
+        }
+        return recording;
+    }
+
+    // Create a simulation with its own physics engine and world
+    // Several simulations can run side by side (the game uses a second one for replays)
+    //
+    // Fires these events (listen with Matter.Events.on(sim, name, callback)):
+    //   flightEnd - the flight ended; event.result describes the outcome and score (event.result.landing has the details)
+    //   lowFuel   - the fuel dropped below the low fuel warning level during a flight
+    function createSimulation(options = {}) {
+        const sim = {
+            engine: null,
+            rocket: null,
+            centerChopstick: null,
+            leftCatchArm: null, // Chopstick arm between the tower and the rocket's left catch point
+            rightCatchArm: null, // Chopstick arm on the far side, under the right catch point
+            towerBase: null,
+            rocketCatchConstraint: null, // Holds the rocket's right catch point on the right arm
+            rocketCatchConstraint2: null, // Holds the rocket's left catch point on the left arm
+            armCarriage: null, // Slides up and down the tower carrying both arms
+            obstacles: [], // The mission's obstacle bodies
+            debris: [], // Pieces of a destroyed rocket, which replace its body in the world
+            pad: null, // Drone ship in a pad mission: { x, y (top of its deck), width, body }, instead of the tower
+            floor: null, // Invisible floor below the world, which is the sea in a pad mission
+            boundaryWalls: [], // Top and side walls holding the rocket inside the world
+            layout: getTowerLayout(options.difficulty || 1, options.mission || null), // Where the tower and arms stand (see getTowerLayout())
+
+            // Progress across rounds
+            difficultyLevel: options.difficulty || 1,
+            successfulLandings: 0, // Count successful landings
+            totalScore: 0, // Track accumulated score across levels
+
+            // Current flight
+            seed: null, // Seed the flight's starting conditions came from
+            flightDifficulty: options.difficulty || 1, // Difficulty the flight started at
+            flightMission: null, // Mission the flight is flown in, null for the regular game
+            active: false, // True while the rocket is flying and can still land or crash
+            stepCount: 0, // Steps simulated since the flight started
+            fuel: INITIAL_FUEL, // Propellant left in fuel units (see getFuelStatus() for percent, burn time and TWR)
+            lowFuel: false, // Set once the low fuel warning has gone off this flight
+            rcsGas: RCS_GAS, // Gas left for the RCS thrusters
+            throttleLevel: 0, // Current throttle level (0-100%)
+            gimbalAngle: 0, // Engine gimbal angle in radians (positive swings the exhaust clockwise)
+            rcsOutput: 0, // RCS thrust this step, -1..1 (positive pushes the top of the rocket right)
+            thrust: { x: 0, y: 0 }, // Force the engine put on the rocket this step
+            thrusterActive: false,
+            engineOut: false, // True while a mission's engine failure keeps the engine from firing
+            score: 0,
+            landingRules: getLandingRules(options.difficulty || 1), // Rules the flight's landing is judged by
+            landing: null, // What closing the arms would score right now (see evaluateLanding())
+            alignment: null, // Latest evaluateAlignment() result while flying
+            alignmentDuration: 0, // Consecutive steps the rocket has been well positioned
+            phase: null, // Flight phase the rocket has reached (see FLIGHT_PHASES)
+            startPhase: null, // Phase the flight started in; a mission starting low skips the earlier ones
+            phaseStartStep: 0, // Step the current phase began at
+            boostbackDone: false, // Set when the rocket turned back towards the target in the boostback phase
+            wrecked: false, // Set when the flight ended in a crash that destroys the rocket (see OUTCOMES)
+            entryLoad: 0, // Drag on the rocket this step in multiples of its weight (see MAX_ENTRY_LOAD)
+            peakEntryLoad: 0, // Highest entryLoad during the entry phase
+            wind: null, // Current wind and the force it puts on the rocket (see updateWind())
+            arms: null, // Catch arm height and swing (see updateArms())
+            towerOperator: options.towerOperator || false, // Let the tower move and close the arms itself in new rounds
+            mission: options.mission || null, // Mission new rounds are flown in (see parseMission()), null for the regular game
+            recording: null, // Starting state and per-step inputs of the flight
+            result: null, // How the flight ended, once it has
+
+            startRound: startRound,
+            applyStartState: applyStartState,
+            step: step,
+            evaluateAlignment: evaluateAlignment,
+            evaluateLanding: evaluateLanding
+        };
+
+        // Create engine
+        sim.engine = Engine.create({
+            gravity: {
+                x: 0,
+                y: GRAVITY
+            }
+        });
+
+        // Create rocket (more detailed with catch points)
+        sim.rocket = createRocketBody(WORLD_WIDTH / 2, 50);
+        Composite.add(sim.engine.world, sim.rocket);
+
+        // Add the tower and its arms (no landing pad, the arms catch the rocket)
+        buildTower(sim.mission);
+
+        // Add invisible floor to catch failed landings
+        const floor = sim.floor = Bodies.rectangle(
+            WORLD_WIDTH / 2,
+            WORLD_HEIGHT + 25,  // Below the visible area
+            WORLD_WIDTH * 2,
+            50,
+            { isStatic: true, render: { visible: false } }
+        );
+
+        // Add walls to keep the rocket within bounds, from the top of the world down to the ground
+        const wallsY = (WORLD_TOP + WORLD_HEIGHT) / 2;
+        const wallsHeight = WORLD_HEIGHT - WORLD_TOP;
+        const wallOptions = { isStatic: true, render: { fillStyle: '#222222' } }; // Seen at the edges when the view zooms out
+        // The top and side walls only hold the rocket in: touching them doesn't end the flight
+        const walls = sim.boundaryWalls = [
+            Bodies.rectangle(WORLD_WIDTH / 2, WORLD_TOP - 10, WORLD_WIDTH, 20, wallOptions), // top
+            Bodies.rectangle(-10, wallsY, 20, wallsHeight, wallOptions), // left
+            Bodies.rectangle(WORLD_WIDTH + 10, wallsY, 20, wallsHeight, wallOptions) // right
+        ];
+        Composite.add(sim.engine.world, [floor].concat(walls));
+
+        // Set up collision detection
+        setupCollisionDetection();
+
+        // Build the tower, its arms and carriage, and a mission's obstacles for the current layout
+        // A pad mission gets a drone ship instead; the tower's bodies are still made but left out of the world
+        function buildTower(mission) {
+            const oldBodies = [sim.centerChopstick, sim.armCarriage, sim.leftCatchArm, sim.rightCatchArm, sim.towerBase, sim.pad && sim.pad.body];
+            Composite.remove(sim.engine.world, oldBodies.concat(sim.obstacles).filter(body => body));
+
+            const layout = sim.layout;
+
+            // Center tower (Mechazilla)
+            sim.centerChopstick = Bodies.rectangle(
+                layout.x,
+                PAD_Y - layout.height / 2,
+                TOWER_HALF_WIDTH * 2,
+                layout.height,
+                { isStatic: true, render: { fillStyle: '#666666' } }
+            );
+
+            // Both chopstick arms and the carriage they ride on
+            sim.armCarriage = createArmCarriage(layout);
+            sim.leftCatchArm = createCatchArm(layout, -1);
+            sim.rightCatchArm = createCatchArm(layout, 1);
+
+            // A solid base for the Mechazilla tower
+            const baseWidth = 60;
+            const baseHeight = 20;
+            sim.towerBase = Bodies.rectangle(
+                layout.x,
+                WORLD_HEIGHT - baseHeight / 2,
+                baseWidth,
+                baseHeight,
+                { isStatic: true, render: { fillStyle: '#555555' } }
+            );
+
+            sim.obstacles = mission ? mission.obstacles.map(createObstacle) : [];
+            Composite.add(sim.engine.world, sim.obstacles);
+
+            if (mission && mission.goal === 'pad') {
+                sim.pad = {
+                    x: mission.pad.x,
+                    y: PAD_Y - DRONE_SHIP_HEIGHT / 2,
+                    width: mission.pad.width,
+                    body: Bodies.rectangle(mission.pad.x, PAD_Y, mission.pad.width, DRONE_SHIP_HEIGHT, {
+                        isStatic: true,
+                        render: { fillStyle: '#3b4048', strokeStyle: '#ffcc00', lineWidth: 2 }
+                    })
+                };
+                Composite.add(sim.engine.world, sim.pad.body);
+            } else {
+                sim.pad = null;
+                Composite.add(sim.engine.world, [sim.centerChopstick, sim.armCarriage, sim.leftCatchArm, sim.rightCatchArm, sim.towerBase]);
+            }
+        }
+
+        // Start a new round: seed the starting conditions and record the flight
+        // In a mission every round is flown at the mission's difficulty
+        function startRound(seed) {
+            sim.seed = seed || SeededRandom.generateSeed();
+            if (sim.mission) {
+                sim.difficultyLevel = sim.mission.difficulty;
+            }
+
+            // Only reset total score when starting from level 1
+            if (sim.difficultyLevel === 1) {
+                sim.totalScore = 0;
+            }
+
+            const startState = generateStartState(SeededRandom.createRng(sim.seed), sim.difficultyLevel, sim.mission);
+            startState.towerOperator = sim.towerOperator ? 1 : 0;
+            applyStartState(startState);
+            sim.recording = createRecording(sim.seed, startState);
+            return startState;
+        }
+
+        // Put the world and rocket into a flight's starting state
+        // Used both for new rounds and for replays, so it must fully reset anything the physics depends on
+        function applyStartState(startState) {
+            // Reset the physics environment
+            if (sim.rocketCatchConstraint) {
+                Composite.remove(sim.engine.world, sim.rocketCatchConstraint);
+                sim.rocketCatchConstraint = null;
+            }
+            if (sim.rocketCatchConstraint2) {
+                Composite.remove(sim.engine.world, sim.rocketCatchConstraint2);
+                sim.rocketCatchConstraint2 = null;
+            }
+
+            // Reset engine gravity to normal (or the mission's)
+            const mission = startState.mission || null;
+            sim.flightMission = mission;
+            sim.engine.gravity.y = mission ? mission.gravity : GRAVITY;
+
+            // Forget contacts left over from the previous flight
+            Pairs.clear(sim.engine.pairs);
+
+            // Rebuild the tower where the flight's mission puts it, with arms sized for its difficulty
+            sim.flightDifficulty = startState.difficulty;
+            sim.landingRules = Object.assign(getLandingRules(sim.flightDifficulty), mission ? mission.landingRules : null);
+            sim.layout = getTowerLayout(sim.flightDifficulty, mission);
+            buildTower(mission);
+
+            // Replace the rocket with a fresh body so nothing carries over from the last flight
+            // (moving the old body would leave rounding differences that replays can't reproduce)
+            Composite.remove(sim.engine.world, [sim.rocket].concat(sim.debris));
+            sim.debris = [];
+            sim.wrecked = false;
+            sim.rocket = createRocketBody(startState.x, startState.y);
+            Body.setVelocity(sim.rocket, { x: startState.velocityX, y: startState.velocityY });
+            Body.setAngle(sim.rocket, startState.angle);
+            Body.setAngularVelocity(sim.rocket, startState.angularVelocity);
+            Composite.add(sim.engine.world, sim.rocket);
+
+            // Reset flight variables
+            sim.fuel = startState.fuel;
+            sim.lowFuel = false;
+            sim.rcsGas = startState.rcsGas;
+            sim.gimbalAngle = 0;
+            sim.rcsOutput = 0;
+            sim.thrust = { x: 0, y: 0 };
+            Body.setMass(sim.rocket, getRocketMass(sim.fuel));
+            sim.throttleLevel = 0;
+            sim.thrusterActive = false;
+            sim.engineOut = false;
+            sim.score = 0;
+            sim.active = true;
+            sim.stepCount = 0;
+            resetWind(startState);
+            resetArms(startState);
+            sim.landing = null;
+            sim.alignment = null;
+            sim.alignmentDuration = 0;
+            sim.phase = FLIGHT_PHASES[getReachedPhase()];
+            sim.startPhase = sim.phase;
+            sim.phaseStartStep = 0;
+            sim.boostbackDone = false;
+            sim.entryLoad = 0;
+            sim.peakEntryLoad = 0;
+            sim.recording = null;
+            sim.result = null;
+        }
+
+        // Advance the simulation by one fixed step using the given input (bits or analog, see encodeInput())
+        // The result depends only on the starting state and the inputs, which is what makes replays exact
+        // Once the flight is over the world keeps moving (rocket dangling or falling) and input is ignored
+        function step(input = 0) {
+            sim.thrust = { x: 0, y: 0 };
+            if (sim.active) {
+                // Always act on the encoded input, so a replay of the recording behaves identically
+                const encoded = encodeInput(input);
+                const controls = decodeInput(encoded);
+                if (sim.recording) {
+                    sim.recording.inputs.push(encoded);
+                }
+                sim.stepCount++;
+
+                if (controls.bits & INPUT_LAND) {
+                    closeArms();
+                }
+
+                applyControls(controls);
+                if (sim.pad) {
+                    swayDroneShip();
+                }
+                updateWind();
+                Body.applyForce(sim.rocket, sim.rocket.position, { x: sim.wind.forceX, y: sim.wind.forceY });
+                updateArms();
+            }
+
+            // The air acts on the rocket whether or not the flight is still on, until it's in pieces
+            if (sim.debris.length === 0) {
+                applyDrag();
+            }
+            if (sim.active) {
+                updatePhase();
+                if (sim.entryLoad > MAX_ENTRY_LOAD) {
+                    endFlight(evaluateLanding('breakup'));
+                }
+            }
+
+            Engine.update(sim.engine, PHYSICS_STEP);
+
+            // A crash that destroys the rocket (found by the collision handler during the update, or
+            // an entry breakup) leaves it in pieces once the step is done
+            if (sim.wrecked && sim.debris.length === 0) {
+                breakUpRocket();
+            }
+        }
+
+        // Push back on the rocket's motion through the air, and slow its spin
+        // Drag grows with the square of the speed and the air's density, and with how far the rocket
+        // is turned across its direction of travel
+        function applyDrag() {
+            const rocket = sim.rocket;
+            const density = getAirDensity(PAD_Y - (rocket.position.y + ROCKET_HEIGHT / 2));
+            const velocity = rocket.velocity;
+            const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+
+            let drag = 0;
+            if (speed > 0) {
+                const along = (velocity.x * Math.sin(rocket.angle) - velocity.y * Math.cos(rocket.angle)) / speed; // Cosine of the angle off the rocket's axis
+                const area = along * along + (1 - along * along) * SIDE_DRAG_FACTOR;
+                drag = DRAG_COEFFICIENT * density * area * speed * speed;
+                Body.applyForce(rocket, rocket.position, { x: -velocity.x / speed * drag, y: -velocity.y / speed * drag });
+            }
+            Body.setAngularVelocity(rocket, rocket.angularVelocity * (1 - ANGULAR_DRAG * density));
+
+            const weight = rocket.mass * sim.engine.gravity.y * sim.engine.gravity.scale;
+            sim.entryLoad = weight > 0 ? drag / weight : 0;
+        }
+
+        // Index in FLIGHT_PHASES of the phase the rocket's height and course put it in
+        function getReachedPhase() {
+            const rocket = sim.rocket;
+            const altitude = PAD_Y - (rocket.position.y + ROCKET_HEIGHT / 2);
+            if (altitude < LANDING_ALTITUDE) return FLIGHT_PHASES.indexOf('landing');
+            if (altitude < ENTRY_ALTITUDE) return FLIGHT_PHASES.indexOf('entry');
+
+            const targetX = sim.pad ? sim.pad.x : getCatchSeatX(sim.layout);
+            const awaySpeed = (rocket.position.x > targetX ? 1 : -1) * rocket.velocity.x;
+            return FLIGHT_PHASES.indexOf(awaySpeed > BOOSTBACK_DONE_SPEED ? 'boostback' : 'coast');
+        }
+
+        // Move on to the next flight phase once the rocket gets there (phases never go back),
+        // and keep the peak drag during entry for its score
+        function updatePhase() {
+            const reached = FLIGHT_PHASES[Math.max(FLIGHT_PHASES.indexOf(sim.phase), getReachedPhase())];
+            if (reached !== sim.phase) {
+                if (sim.phase === 'boostback' && reached === 'coast') {
+                    sim.boostbackDone = true;
+                }
+                sim.phase = reached;
+                sim.phaseStartStep = sim.stepCount;
+            }
+            if (sim.phase === 'entry') {
+                sim.peakEntryLoad = Math.max(sim.peakEntryLoad, sim.entryLoad);
+            }
+        }
+
+        // Apply throttle, thrust, steering and fuel use for one step
+        function applyControls(controls) {
+            const rocket = sim.rocket;
+            const input = controls.bits;
+
+            // Track how long the rocket has held a good position, and what a catch (or touching down on the drone ship) would score
+            sim.landing = evaluateLanding(sim.pad ? sim.pad.body : 'catch');
+            sim.alignment = sim.landing.alignment;
+            sim.alignmentDuration = sim.alignment.isWellPositioned ? sim.alignmentDuration + 1 : 0;
+
+            // A mission's engine failure keeps the engine from firing for a while (the throttle still
+            // follows the controls, so it fires at once when it relights, and the RCS still works)
+            const engineOut = sim.flightMission && sim.flightMission.engineOut;
+            const outStep = engineOut ? Math.round(engineOut.at * 1000 / PHYSICS_STEP) : 0;
+            sim.engineOut = Boolean(engineOut) && sim.stepCount > outStep &&
+                            sim.stepCount <= outStep + Math.round(engineOut.duration * 1000 / PHYSICS_STEP);
+
+            // Handle throttle dynamics
+            if (controls.throttle !== null) {
+                // Analog throttle sets the level directly
+                sim.throttleLevel = sim.fuel > 0 ? controls.throttle * 100 : 0;
+                sim.thrusterActive = sim.throttleLevel > 5;
+            } else if ((input & INPUT_THRUST) && sim.fuel > 0) {
+                // Gradually increase throttle when thrust is held
+                sim.throttleLevel = Math.min(100, sim.throttleLevel + THROTTLE_CHANGE_RATE);
+                sim.thrusterActive = true;
+            } else {
+                // Gradually decrease throttle when thrust is released
+                sim.throttleLevel = Math.max(0, sim.throttleLevel - THROTTLE_CHANGE_RATE * 1.5);
+                sim.thrusterActive = sim.throttleLevel > 5; // Still show visual effects for low throttle
+            }
+
+            // Steering: left/right and analog rotation combine into one command (positive turns clockwise)
+            const steering = Math.max(-1, Math.min(1,
+                ((input & INPUT_RIGHT) ? 1 : 0) - ((input & INPUT_LEFT) ? 1 : 0) + controls.rotation));
+
+            // Swing the engine towards the steered angle; pushing the exhaust left turns the rocket clockwise
+            const targetGimbal = -steering * MAX_GIMBAL_ANGLE;
+            sim.gimbalAngle += Math.max(-GIMBAL_RATE, Math.min(GIMBAL_RATE, targetGimbal - sim.gimbalAngle));
+
+            // Apply thrust based on current throttle level, at the engine and along the gimballed nozzle
+            if (sim.engineOut) {
+                sim.thrusterActive = false;
+            } else if (sim.throttleLevel > 0 && sim.fuel > 0) {
+                // Scale thrust force by current throttle percentage
+                const throttlePercent = sim.throttleLevel / 100;
+
+                // Calculate thrust - slightly stronger when falling fast
+                let appliedThrust = THRUST_FORCE * throttlePercent;
+                if (rocket.velocity.y > 2) {
+                    appliedThrust = appliedThrust * 1.3;
+                }
+
+                const thrustVector = Vector.rotate(
+                    { x: 0, y: -appliedThrust },
+                    rocket.angle + sim.gimbalAngle
+                );
+                const enginePosition = Vector.add(rocket.position, Vector.rotate({ x: 0, y: ENGINE_OFFSET_Y }, rocket.angle));
+                Body.applyForce(rocket, enginePosition, thrustVector);
+                sim.thrust = thrustVector;
+
+                // Consume fuel based on throttle level
+                const fuelConsumptionRate = FUEL_CONSUMPTION_RATE * (throttlePercent * 0.8 + 0.2);
+                sim.fuel = Math.max(0, sim.fuel - fuelConsumptionRate);
+            }
+
+            // RCS thrusters near the top make up for the gimbal's lost authority at low throttle
+            const engineThrottle = sim.fuel > 0 && !sim.engineOut ? sim.throttleLevel : 0;
+            const rcsShare = Math.max(0, 1 - engineThrottle / RCS_CUTOFF_THROTTLE);
+            sim.rcsOutput = sim.rcsGas > 0 ? steering * rcsShare : 0;
+            if (sim.rcsOutput !== 0) {
+                const rcsPosition = Vector.add(rocket.position, Vector.rotate({ x: 0, y: RCS_OFFSET_Y }, rocket.angle));
+                Body.applyForce(rocket, rcsPosition, Vector.rotate({ x: RCS_FORCE * sim.rcsOutput, y: 0 }, rocket.angle));
+                sim.rcsGas = Math.max(0, sim.rcsGas - RCS_GAS_RATE * Math.abs(sim.rcsOutput));
+            }
+
+            updateRocketMass();
+        }
+
+        // Lighten the rocket by the propellant it has burned, and warn once when it's running low
+        function updateRocketMass() {
+            Body.setMass(sim.rocket, getRocketMass(sim.fuel));
+
+            if (!sim.lowFuel && sim.fuel < INITIAL_FUEL * LOW_FUEL_FRACTION) {
+                sim.lowFuel = true;
+                Events.trigger(sim, 'lowFuel', { fuel: sim.fuel });
+            }
+        }
+
+        // Move the drone ship along its sway, carrying a rocket that's landed on it
+        function swayDroneShip() {
+            const mission = sim.flightMission;
+            sim.pad.x = mission.pad.x + mission.pad.sway * Math.sin(2 * Math.PI * sim.stepCount / DRONE_SHIP_SWAY_PERIOD);
+            Body.setPosition(sim.pad.body, { x: sim.pad.x, y: PAD_Y });
+        }
+
+        // Start the flight's wind: calm apart from the steady wind, with gusts and turbulence to come
+        let windRng = null; // Generator for gusts and turbulence, seeded from the starting state so replays match
+        let gust = null; // Current gust: { step, length, peak }
+
+        function resetWind(startState) {
+            windRng = SeededRandom.createRng(startState.windSeed);
+            gust = null;
+            sim.wind = {
+                steady: startState.windSpeed,
+                maxGust: startState.windGust,
+                maxTurbulence: startState.windTurbulence,
+                gust: 0, // Extra wind from the current gust
+                speed: startState.windSpeed, // Steady wind plus gust (positive blows to the right)
+                turbulenceX: 0,
+                turbulenceY: 0,
+                turbulence: 0, // How strongly turbulence is felt where the rocket is (0-1)
+                forceX: 0,
+                forceY: 0
+            };
+        }
+
+        // Advance gusts and turbulence by one step and work out the wind's force on the rocket
+        function updateWind() {
+            const wind = sim.wind;
+
+            // Gusts build up and die away over one to three seconds, usually along the steady wind
+            if (!gust && wind.maxGust > 0 && windRng() < GUST_CHANCE) {
+                const direction = windRng() < 0.75 ? (Math.sign(wind.steady) || 1) : -(Math.sign(wind.steady) || 1);
+                gust = {
+                    step: 0,
+                    length: 60 + Math.floor(windRng() * 120),
+                    peak: direction * wind.maxGust * (0.5 + windRng() * 0.5)
+                };
+            }
+            if (gust) {
+                gust.step++;
+                wind.gust = gust.peak * Math.sin(Math.PI * gust.step / gust.length);
+                if (gust.step >= gust.length) {
+                    gust = null;
+                    wind.gust = 0;
+                }
+            }
+            wind.speed = wind.steady + wind.gust;
+
+            // Turbulence wanders randomly, and is only felt close to the tower (or the drone ship)
+            wind.turbulenceX = wind.turbulenceX * 0.9 + (windRng() * 2 - 1) * wind.maxTurbulence * 0.3;
+            wind.turbulenceY = wind.turbulenceY * 0.9 + (windRng() * 2 - 1) * wind.maxTurbulence * 0.3;
+            const towerDistance = sim.pad
+                ? Math.hypot(sim.rocket.position.x - sim.pad.x, sim.rocket.position.y - sim.pad.y)
+                : Math.hypot(sim.rocket.position.x - sim.layout.x, sim.rocket.position.y - sim.layout.top);
+            wind.turbulence = Math.max(0, 1 - towerDistance / TURBULENCE_RADIUS);
+
+            wind.forceX = (wind.speed + wind.turbulenceX * wind.turbulence) * WIND_FORCE;
+            wind.forceY = wind.turbulenceY * wind.turbulence * WIND_FORCE;
+        }
+
+        // Open the arms at their resting height for a new flight
+        function resetArms(startState) {
+            sim.arms = {
+                operator: startState.towerOperator === 1, // Tower operator moves and closes the arms
+                y: sim.layout.armY, // Height of the arms on the tower
+                targetY: sim.layout.armY, // Height the carriage is sliding to
+                closing: false,
+                closeSteps: 0, // Steps spent closing so far, out of ARM_CLOSE_STEPS
+                closure: 0 // 0 when open, 1 when closed
+            };
+            positionArms();
+        }
+
+        // Start swinging the arms closed (the land input); they can only close once per flight
+        // A drone ship has no arms, so there the land input does nothing
+        function closeArms() {
+            if (!sim.pad && !sim.arms.closing && sim.arms.closeSteps === 0) {
+                sim.arms.closing = true;
+            }
+        }
+
+        // Slide and swing the arms by one step; the landing is decided when they finish closing
+        function updateArms() {
+            const arms = sim.arms;
+            if (arms.operator) {
+                operateTower();
+            }
+
+            arms.y += Math.max(-ARM_SLIDE_SPEED, Math.min(ARM_SLIDE_SPEED, arms.targetY - arms.y));
+            if (arms.closing) {
+                arms.closeSteps++;
+                arms.closure = arms.closeSteps / ARM_CLOSE_STEPS;
+            }
+            positionArms();
+
+            if (arms.closing && arms.closeSteps >= ARM_CLOSE_STEPS) {
+                arms.closing = false;
+                attemptLanding();
+            }
+        }
+
+        // Tower operator: keep the arms level with the rocket's catch points, and close them
+        // once the rocket is lined up and won't drift out of reach while they swing shut
+        function operateTower() {
+            const arms = sim.arms;
+            const leftCatchPoint = getCatchPointPosition(sim.rocket, -1);
+            const rightCatchPoint = getCatchPointPosition(sim.rocket, 1);
+            arms.targetY = Math.max(sim.layout.armTopY, Math.min(sim.layout.armBottomY, (leftCatchPoint.y + rightCatchPoint.y) / 2));
+
+            if (arms.closing || arms.closeSteps > 0) return;
+
+            const alignment = sim.alignment;
+            const drift = Math.abs(sim.rocket.velocity.x) * ARM_CLOSE_STEPS; // Sideways travel while the arms close
+            const worstDistance = Math.max(alignment.left.horizontalDistance, alignment.right.horizontalDistance);
+            if (alignment.isWellPositioned && worstDistance + drift < alignment.horizontalTolerance &&
+                Math.abs(sim.rocket.velocity.y) < ARM_SLIDE_SPEED) {
+                closeArms();
+            }
+        }
+
+        // Move the arm bodies to the carriage height and swing
+        // The left arm is hinged on the tower and the right one at its far end, so both tips drop away from the rocket when open
+        function positionArms() {
+            const arms = sim.arms;
+            const layout = sim.layout;
+            const catchArmWidth = layout.armWidth;
+            const swing = ARM_OPEN_ANGLE * (1 - arms.closure);
+            const halfReachX = Math.cos(swing) * catchArmWidth / 2;
+            const halfDrop = Math.sin(swing) * catchArmWidth / 2;
+
+            Body.setPosition(sim.leftCatchArm, { x: layout.faceX + halfReachX, y: arms.y + halfDrop });
+            Body.setAngle(sim.leftCatchArm, swing);
+
+            const rightHingeX = getCatchSeatX(layout) + CATCH_POINT_OFFSET_X + catchArmWidth;
+            Body.setPosition(sim.rightCatchArm, { x: rightHingeX - halfReachX, y: arms.y + halfDrop });
+            Body.setAngle(sim.rightCatchArm, -swing);
+
+            Body.setPosition(sim.armCarriage, { x: layout.x, y: arms.y });
+        }
+
+        // Check if the rocket is properly aligned with the catch arms, within the flight's landing rules
+        // Each catch point is checked against the tip of the arm on its side, and both must be supported
+        function evaluateAlignment() {
+            const rocket = sim.rocket;
+            const rules = sim.landingRules;
+
+            // Calculate rocket's velocity
+            const landingVelocity = Math.sqrt(
+                rocket.velocity.x * rocket.velocity.x +
+                rocket.velocity.y * rocket.velocity.y
+            );
+
+            const tilt = getTilt(rocket.angle);
+            const isUpright = Math.abs(tilt) < rules.maxTilt;
+
+            // Horizontal tolerance scales with the catch arm width
+            const horizontalTolerance = sim.layout.armWidth * rules.horizontalTolerance;
+            const verticalTolerance = rules.verticalTolerance;
+
+            // How one catch point lines up with where the tip of its arm will be once closed
+            function evaluateSide(side) {
+                const catchPoint = getCatchPointPosition(rocket, side);
+                const armTip = getCatchArmTip(sim, side);
+                const horizontalDistance = Math.abs(catchPoint.x - armTip.x);
+                const verticalDistance = Math.abs(catchPoint.y - armTip.y);
+                return {
+                    catchPoint: catchPoint,
+                    catchArm: armTip,
+                    horizontalDistance: horizontalDistance,
+                    verticalDistance: verticalDistance,
+                    isAligned: horizontalDistance < horizontalTolerance && verticalDistance < verticalTolerance
+                };
+            }
+
+            const left = evaluateSide(-1);
+            const right = evaluateSide(1);
+
+            // Over a drone ship, the rocket only has to come down with its base on the deck
+            const pad = sim.pad ? {
+                offset: Math.abs(rocket.position.x - sim.pad.x),
+                tolerance: sim.pad.width / 2 - ROCKET_WIDTH / 2
+            } : null;
+            if (pad) {
+                pad.isAligned = pad.offset < pad.tolerance;
+            }
+            const isAligned = pad ? pad.isAligned : left.isAligned && right.isAligned;
+
+            return {
+                landingVelocity: landingVelocity,
+                maxVelocity: rules.maxSpeed,
+                angle: rocket.angle,
+                tilt: tilt,
+                maxTilt: rules.maxTilt,
+                isUpright: isUpright,
+                horizontalTolerance: horizontalTolerance,
+                verticalTolerance: verticalTolerance,
+                left: left,
+                right: right,
+                pad: pad, // { offset, tolerance, isAligned } from the drone ship's centre, or null at the tower
+                isAligned: isAligned,
+                // Check if the rocket is properly positioned - slow velocity, upright, and aligned
+                isWellPositioned: landingVelocity < rules.maxSpeed && isUpright && isAligned
+            };
+        }
+
+        // Judge the rocket by the flight's landing rules, as if the flight ended now
+        // `attempt` is 'catch' when the arms have closed, or the body the rocket has just hit
+        // Returns the outcome and the points it scores, item by item; the HUD, the flight's result
+        // and the scoreboard all use this, so the points shown are always the points awarded
+        function evaluateLanding(attempt) {
+            const rules = sim.landingRules;
+            const alignment = evaluateAlignment();
+            const isSlow = alignment.landingVelocity < rules.maxSpeed;
+
+            let outcome;
+            if (attempt === 'breakup') {
+                outcome = 'breakup';
+            } else if (attempt === 'catch') {
+                if (alignment.isWellPositioned) {
+                    outcome = 'catch';
+                } else if (!alignment.isUpright) {
+                    outcome = 'landingNotUpright';
+                } else if (!isSlow) {
+                    outcome = 'landingTooFast';
+                } else {
+                    outcome = 'landingNotAligned';
+                }
+            } else if (sim.obstacles.includes(attempt)) {
+                outcome = 'crashObstacle';
+            } else if (sim.pad && attempt === sim.floor) {
+                outcome = 'crashSea';
+            } else if (!isSlow) {
+                outcome = 'crashTooFast';
+            } else if (!alignment.isUpright) {
+                outcome = 'crashNotUpright';
+            } else if (attempt === sim.centerChopstick) {
+                outcome = 'towerContact';
+            } else if (sim.pad && attempt === sim.pad.body) {
+                outcome = alignment.isAligned ? 'padLanding' : 'landingNotAligned';
+            } else {
+                outcome = 'crashMissedTarget';
+            }
+
+            const breakdown = []; // Scored items, e.g. { label: 'Catch', points: 2000 }
+            if (outcome === 'catch' || outcome === 'padLanding') {
+                breakdown.push({ label: outcome === 'catch' ? 'Catch' : 'Landing', points: rules.catchPoints });
+
+                const speedBonus = rules.speedBonuses.find(bonus => alignment.landingVelocity < bonus.below);
+                if (speedBonus) {
+                    breakdown.push({ label: speedBonus.label, points: speedBonus.points });
+                }
+
+                breakdown.push({ label: 'Fuel Bonus', points: Math.round(getFuelStatus(sim).percent * rules.fuelPointsPerPercent) });
+
+                // The flight profile, for each phase the flight started in or before
+                const startPhase = FLIGHT_PHASES.indexOf(sim.startPhase);
+                if (sim.boostbackDone) {
+                    breakdown.push({ label: 'Boostback', points: rules.boostbackPoints });
+                }
+                if (startPhase <= FLIGHT_PHASES.indexOf('entry')) {
+                    breakdown.push({ label: 'Entry', points: Math.round(rules.entryPoints * Math.max(0, 1 - sim.peakEntryLoad / MAX_ENTRY_LOAD)) });
+                }
+                if (startPhase < FLIGHT_PHASES.indexOf('landing')) {
+                    const burnTime = (sim.stepCount - sim.phaseStartStep) * PHYSICS_STEP / 1000;
+                    const share = Math.max(0, Math.min(1, 2 - burnTime / LANDING_BURN_PAR));
+                    breakdown.push({ label: 'Landing Burn', points: Math.round(rules.landingBurnPoints * share) });
+                }
+
+                const tiltPenalty = Math.round(Math.abs(alignment.tilt) * 180 / Math.PI * rules.tiltPenaltyPerDegree);
+                if (tiltPenalty > 0) {
+                    breakdown.push({ label: 'Tilt Penalty', points: -tiltPenalty });
+                }
+                const offset = alignment.pad ? alignment.pad.offset : Math.max(alignment.left.horizontalDistance, alignment.right.horizontalDistance);
+                const offsetPenalty = Math.round(offset * rules.offsetPenaltyPerPixel);
+                if (offsetPenalty > 0) {
+                    breakdown.push({ label: 'Off-Centre Penalty', points: -offsetPenalty });
+                }
+
+                if (rules.difficultyMultiplier !== 1) {
+                    const subtotal = breakdown.reduce((sum, item) => sum + item.points, 0);
+                    breakdown.push({
+                        label: `Difficulty Bonus (x${rules.difficultyMultiplier})`,
+                        points: Math.round(Math.max(0, subtotal) * (rules.difficultyMultiplier - 1))
+                    });
+                }
+            } else if (outcome === 'towerContact') {
+                breakdown.push({ label: 'Tower Contact Bonus', points: rules.towerContactPoints });
+            }
+
+            return {
+                outcome: outcome,
+                message: OUTCOMES[outcome].message,
+                success: OUTCOMES[outcome].success,
+                difficulty: sim.flightDifficulty,
+                landingVelocity: alignment.landingVelocity,
+                tilt: alignment.tilt,
+                fuelPercent: getFuelStatus(sim).percent,
+                alignment: alignment,
+                rules: rules,
+                breakdown: breakdown,
+                points: Math.max(0, breakdown.reduce((sum, item) => sum + item.points, 0))
+            };
+        }
+
+        // Attempt landing once the arms have swung closed
+        function attemptLanding() {
+            const landing = evaluateLanding('catch');
+            if (landing.success) {
+                // Attach the rocket to the catch arms
+                attachRocketToCatchArms();
+            }
+            endFlight(landing);
+        }
+
+        // Set up collision detection - only for tower and ground now
+        function setupCollisionDetection() {
+            Events.on(sim.engine, 'collisionStart', (event) => {
+                // Only the first contact during a flight decides its outcome
+                if (!sim.active) return;
+
+                const rocket = sim.rocket;
+                const pairs = event.pairs;
+
+                for (let i = 0; i < pairs.length; i++) {
+                    const pair = pairs[i];
+
+                    // Check if rocket has collided with tower or ground
+                    if ((pair.bodyA === rocket || pair.bodyB === rocket)) {
+                        const otherBody = pair.bodyA === rocket ? pair.bodyB : pair.bodyA;
+                        if (sim.boundaryWalls.includes(otherBody)) continue;
+
+                        // Contacting the tower directly is no longer considered successful,
+                        // though a slow, upright contact gets some points for effort
+                        endFlight(evaluateLanding(otherBody));
+
+                        break; // Exit loop after handling collision
+                    }
+                }
+            });
+        }
+
+        // Swap the rocket's body for pieces along its length, flung apart from where it was destroyed
+        // (deterministic like the rest of the simulation, so replays break up the same way)
+        function breakUpRocket() {
+            const rocket = sim.rocket;
+            const pieceLength = ROCKET_HEIGHT / DEBRIS_PIECES;
+            const downX = -Math.sin(rocket.angle); // Direction from the nose to the engine
+            const downY = Math.cos(rocket.angle);
+
+            for (let i = 0; i < DEBRIS_PIECES; i++) {
+                const offset = (i + 0.5) * pieceLength - ROCKET_HEIGHT / 2;
+                const spread = i - (DEBRIS_PIECES - 1) / 2; // Pieces fly out to the side they're on
+                const piece = Bodies.rectangle(
+                    rocket.position.x + downX * offset,
+                    rocket.position.y + downY * offset,
+                    ROCKET_WIDTH,
+                    pieceLength,
+                    {
+                        angle: rocket.angle,
+                        density: 0.01,
+                        restitution: 0.3,
+                        friction: 0.6,
+                        render: { fillStyle: '#e0e0e0', strokeStyle: '#aaaaaa', lineWidth: 1 }
+                    }
+                );
+                Body.setVelocity(piece, {
+                    x: rocket.velocity.x * 0.5 + spread * DEBRIS_SPEED,
+                    y: rocket.velocity.y * 0.2 - DEBRIS_SPEED * (1 + i % 2)
+                });
+                Body.setAngularVelocity(piece, (i % 2 === 0 ? 0.15 : -0.15) * (1 + Math.abs(spread) * 0.3));
+                sim.debris.push(piece);
+            }
+
+            Composite.remove(sim.engine.world, rocket);
+            Composite.add(sim.engine.world, sim.debris);
+        }
+
+        // End the flight with its evaluateLanding() result, score it and update difficulty progression
+        function endFlight(landing) {
+            sim.active = false;
+            sim.wrecked = Boolean(OUTCOMES[landing.outcome].destroyed);
+            sim.landing = landing;
+            sim.score = landing.points;
+            sim.totalScore += sim.score; // Add current score to total
+
+            const flightTime = sim.stepCount * PHYSICS_STEP / 1000;
+            const rating = sim.flightMission ? rateFlight(sim.flightMission, landing, sim.score, flightTime) : null;
+
+            const result = {
+                outcome: landing.outcome,
+                message: landing.message,
+                success: landing.success,
+                landing: landing,
+                breakdown: landing.breakdown, // Scored items, e.g. { label: 'Catch', points: 2000 }
+                levelScore: sim.score,
+                totalScore: sim.totalScore,
+                par: sim.flightMission ? sim.flightMission.par : null, // Mission score to beat, if it has one
+                parBeaten: Boolean(sim.flightMission && sim.flightMission.par !== null && sim.score >= sim.flightMission.par),
+                flightTime: flightTime, // Seconds from the start of the flight
+                stars: rating ? rating.stars : null, // Mission stars earned (0-3, see rateFlight()), null outside missions
+                starCriteria: rating ? rating.criteria : [], // The mission's star criteria and whether each was met
+                difficultyIncreased: false,
+                difficultyLevel: sim.difficultyLevel
+            };
+
+            // Check if this was a successful landing
+            if (result.success) {
+                sim.successfulLandings++;
+
+                // Increase difficulty after each successful landing (missions keep theirs)
+                if (!sim.mission && sim.difficultyLevel < MAX_DIFFICULTY) {
+                    sim.difficultyLevel++;
+                    result.difficultyIncreased = true;
+                    result.difficultyLevel = sim.difficultyLevel;
+                }
+            }
+
+            // Keep how the flight ended with its recording
+            if (sim.recording) {
+                sim.recording.outcome = result.message;
+                sim.recording.success = result.success;
+                sim.recording.score = result.levelScore;
+            }
+
+            sim.result = result;
+            Events.trigger(sim, 'flightEnd', { result: result });
+        }
+
+        // Attach the rocket to both catch arms, one constraint per arm at the catch point resting on it
+        function attachRocketToCatchArms() {
+            const rocket = sim.rocket;
+
+            sim.rocketCatchConstraint = createCatchConstraint(sim.rightCatchArm, 1);
+            sim.rocketCatchConstraint2 = createCatchConstraint(sim.leftCatchArm, -1);
+            Composite.add(sim.engine.world, [sim.rocketCatchConstraint, sim.rocketCatchConstraint2]);
+
+            // Reduce gravity to simulate successful catch
+            sim.engine.gravity.y = 0.05;
+
+            // Stabilize the rocket initially
+            Body.setAngularVelocity(rocket, 0);
+            Body.setVelocity(rocket, { x: 0, y: 0 });
+
+            // Use a lower moment of inertia to allow natural dangling
+            Body.setInertia(rocket, 5000); // Lower than before to allow more natural physics and dangling
+        }
+
+        // Constraint holding one of the rocket's catch points where it rests on an arm
+        function createCatchConstraint(arm, side) {
+            const rocket = sim.rocket;
+            const catchPoint = getCatchPointPosition(rocket, side);
+
+            return Constraint.create({
+                bodyA: rocket,
+                bodyB: arm,
+                pointA: { x: catchPoint.x - rocket.position.x, y: catchPoint.y - rocket.position.y }, // Catch point relative to rocket center
+                pointB: { x: catchPoint.x - arm.position.x, y: catchPoint.y - arm.position.y }, // Same point on the arm
+                stiffness: 0.8, // Slightly less stiff to allow dangling movement
+                length: 0,
+                render: {
+                    visible: true,
+                    lineWidth: 2,
+                    strokeStyle: '#00ff00'
+                }
+            });
+        }
+
+        return sim;
+    }
+
+    return {
+        WORLD_WIDTH: WORLD_WIDTH,
+        WORLD_HEIGHT: WORLD_HEIGHT,
+        WORLD_TOP: WORLD_TOP,
+        FLIGHT_PHASES: FLIGHT_PHASES,
+        ENTRY_ALTITUDE: ENTRY_ALTITUDE,
+        LANDING_ALTITUDE: LANDING_ALTITUDE,
+        MAX_ENTRY_LOAD: MAX_ENTRY_LOAD,
+        INITIAL_FUEL: INITIAL_FUEL,
+        DRY_MASS: DRY_MASS,
+        PROPELLANT_MASS: PROPELLANT_MASS,
+        THRUST_FORCE: THRUST_FORCE,
+        MAX_GIMBAL_ANGLE: MAX_GIMBAL_ANGLE,
+        RCS_GAS: RCS_GAS,
+        MAX_DIFFICULTY: MAX_DIFFICULTY,
+        PHYSICS_STEP: PHYSICS_STEP,
+        REQUIRED_ALIGNMENT_DURATION: REQUIRED_ALIGNMENT_DURATION,
+        ARM_CLOSE_STEPS: ARM_CLOSE_STEPS,
+        ROCKET_WIDTH: ROCKET_WIDTH,
+        ROCKET_HEIGHT: ROCKET_HEIGHT,
+        CATCH_POINT_OFFSET_X: CATCH_POINT_OFFSET_X,
+        CATCH_POINT_OFFSET_Y: CATCH_POINT_OFFSET_Y,
+        ENGINE_OFFSET_Y: ENGINE_OFFSET_Y,
+        PAD_Y: PAD_Y,
+        TOWER_HALF_WIDTH: TOWER_HALF_WIDTH,
+        MISSION_FORMAT: MISSION_FORMAT,
+        DRONE_SHIP_HEIGHT: DRONE_SHIP_HEIGHT,
+        MAX_STAR_CRITERIA: MAX_STAR_CRITERIA,
+        INPUT_THRUST: INPUT_THRUST,
+        INPUT_LEFT: INPUT_LEFT,
+        INPUT_RIGHT: INPUT_RIGHT,
+        INPUT_LAND: INPUT_LAND,
+        OUTCOMES: OUTCOMES,
+        LANDING_RULES: LANDING_RULES,
+        LANDING_RULE_LEVELS: LANDING_RULE_LEVELS,
+        getLandingRules: getLandingRules,
+        calculateCatchArmWidth: calculateCatchArmWidth,
+        getCatchPointPosition: getCatchPointPosition,
+        getRocketMass: getRocketMass,
+        getFuelStatus: getFuelStatus,
+        getAirDensity: getAirDensity,
+        getDescentStatus: getDescentStatus,
+        getCatchSeatX: getCatchSeatX,
+        getCatchArmTip: getCatchArmTip,
+        getTowerLayout: getTowerLayout,
+        parseMission: parseMission,
+        rateFlight: rateFlight,
+        generateStartState: generateStartState,
+        createRecording: createRecording,
+        parseRecording: parseRecording,
+        encodeInput: encodeInput,
+        decodeInput: decodeInput,
+        createSimulation: createSimulation
+    };
+}));
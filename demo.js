@@ -0,0 +1,75 @@
+// Title screen and demo flights
+// While the title screen is up, the autopilot (autopilot.js) flies random rounds in
+// a simulation of its own, so the game's own progress is left untouched.
+
+const DEMO_PAUSE_STEPS = 120; // Steps a finished demo flight stays on screen before the next one starts
+
+// Title screen elements
+const titleScreenElement = document.getElementById('titleScreen');
+const startButton = document.getElementById('startButton');
+const pilotModeSelect = document.getElementById('pilotModeSelect');
+const towerModeSelect = document.getElementById('towerModeSelect');
+
+// Demo state, null when the title screen isn't showing
+let demoState = null;
+
+// Show the title screen with the autopilot flying in the background
+function startDemo() {
+    demoState = {
+        sim: FalconCore.createSimulation(),
+        finishedSteps: 0
+    };
+
+    gameOverElement.classList.add('hidden');
+    titleScreenElement.classList.remove('hidden');
+
+    startDemoFlight();
+}
+
+// Leave the title screen and start playing
+function stopDemo() {
+    demoState = null;
+    titleScreenElement.classList.add('hidden');
+    startButton.blur(); // So SPACE lands the rocket instead of pressing Start again
+
+    resetGame();
+    animationFrameId = requestAnimationFrame(gameLoop);
+}
+
+// Start the next demo flight at a random difficulty
+function startDemoFlight() {
+    demoState.sim.difficultyLevel = 1 + Math.floor(Math.random() * FalconCore.MAX_DIFFICULTY);
+    demoState.sim.startRound();
+    demoState.sim.recording = null; // Demo flights aren't replayed
+    demoState.finishedSteps = 0;
+
+    resetFlightDisplay(demoState.sim);
+}
+
+// Run the next demo step from the game loop
+function advanceDemo() {
+    const demoSim = demoState.sim;
+    if (demoSim.active) {
+        demoSim.step(FalconAutopilot.getAutopilotInput(demoSim));
+    } else {
+        // Let the outcome play out for a moment, then fly again
+        demoSim.step(0);
+        demoState.finishedSteps++;
+        if (demoState.finishedSteps >= DEMO_PAUSE_STEPS) {
+            startDemoFlight();
+        }
+    }
+    return true;
+}
+
+startButton.addEventListener('click', () => {
+    stopDemo();
+});
+
+pilotModeSelect.addEventListener('change', () => {
+    setPilotMode(pilotModeSelect.value);
+});
+
+towerModeSelect.addEventListener('change', () => {
+    setTowerOperator(towerModeSelect.value === 'operator');
+});
@@ -0,0 +1,393 @@
+// Mission editor
+// Lays out a mission on the canvas: drag the tower (or its top, to change its height) or
+// drone ship, the spawn box (or its corner, to resize it) and obstacles, set the rest in the panel,
+// then save the mission as JSON or fly it straight away. The world is shown in a
+// simulation of its own that doesn't run while editing. The view starts at ground level and
+// scrolls (mouse wheel, or the View height slider) up to the top of the world.
+
+const EDITOR_HANDLE_SIZE = 8; // Pixels around a corner or the tower top that grab it
+const EDITOR_TOWER_GRAB = 12; // Pixels either side of the tower that grab it
+const NEW_OBSTACLE = { width: 60, height: 40 };
+const DEFAULT_SPAWN_BOX = { x: [720, 840], y: [50, 100] }; // The regular level 1 start
+const EDITOR_WHEEL_LINE = 40; // Pixels the view scrolls per line, for wheels that scroll by lines
+
+// Editor elements
+const editorCanvas = document.getElementById('gameCanvas');
+const editorPanelElement = document.getElementById('editorPanel');
+const editorErrorElement = document.getElementById('editorError');
+const editorFileInput = document.getElementById('editorFileInput');
+const editorViewInput = document.getElementById('editorView');
+const editorFields = {
+    name: document.getElementById('editorName'),
+    difficulty: document.getElementById('editorDifficulty'),
+    goal: document.getElementById('editorGoal'),
+    armWidth: document.getElementById('editorArmWidth'),
+    gravity: document.getElementById('editorGravity'),
+    fuel: document.getElementById('editorFuel'),
+    windSteady: document.getElementById('editorWindSteady'),
+    windGust: document.getElementById('editorWindGust'),
+    windTurbulence: document.getElementById('editorWindTurbulence'),
+    par: document.getElementById('editorPar')
+};
+
+// Editor state, null when the editor isn't open
+// { mission, sim, selected (obstacle index or null), drag ({ target, index, offsetX, offsetY } or null),
+//   viewHeight (how far above the ground-level view the editor is looking) }
+let editorState = null;
+
+// Open the editor on a mission (or a new one)
+function openEditor(mission) {
+    demoState = null;
+    titleScreenElement.classList.add('hidden');
+    gameOverElement.classList.add('hidden');
+    editorPanelElement.classList.remove('hidden');
+
+    const draft = JSON.parse(JSON.stringify(mission || FalconCore.parseMission({ name: 'New mission' })));
+    // The editor always shows a spawn box, so give missions without one the regular start
+    draft.spawn.x = draft.spawn.x || DEFAULT_SPAWN_BOX.x.slice();
+    draft.spawn.y = draft.spawn.y || DEFAULT_SPAWN_BOX.y.slice();
+
+    editorState = {
+        mission: FalconCore.parseMission(draft),
+        sim: null,
+        selected: null,
+        drag: null,
+        viewHeight: 0
+    };
+    setEditorView(0);
+    fillEditorFields();
+    showEditedMission();
+}
+
+// Whether the editor is open (the game ignores its controls meanwhile)
+function isEditorOpen() {
+    return editorState !== null;
+}
+
+// Leave the editor for the title screen
+function closeEditor() {
+    editorState = null;
+    editorPanelElement.classList.add('hidden');
+    startDemo();
+}
+
+// Apply a change to the mission being edited, keeping it only if it's still a valid mission
+function editMission(change) {
+    const draft = JSON.parse(JSON.stringify(editorState.mission));
+    change(draft);
+    try {
+        editorState.mission = FalconCore.parseMission(draft);
+        editorErrorElement.textContent = '';
+    } catch (error) {
+        editorErrorElement.textContent = error.message;
+        return;
+    }
+    showEditedMission();
+}
+
+// Show the mission's world, with the rocket in the middle of the spawn box
+function showEditedMission() {
+    const mission = editorState.mission;
+    editorState.sim = editorState.sim || FalconCore.createSimulation({ difficulty: mission.difficulty });
+
+    const startState = FalconCore.generateStartState(createRng('editor'), mission.difficulty, mission);
+    startState.x = (mission.spawn.x[0] + mission.spawn.x[1]) / 2;
+    startState.y = (mission.spawn.y[0] + mission.spawn.y[1]) / 2;
+    startState.angle = 0;
+    startState.towerOperator = 0;
+    editorState.sim.applyStartState(startState);
+    resetFlightDisplay(editorState.sim);
+}
+
+// Show the mission's settings in the panel (blank fields use the difficulty's defaults)
+function fillEditorFields() {
+    const mission = editorState.mission;
+    const wind = mission.wind || {};
+    editorFields.name.value = mission.name;
+    editorFields.difficulty.value = mission.difficulty;
+    editorFields.goal.value = mission.goal;
+    editorFields.armWidth.value = mission.armWidth === null ? '' : mission.armWidth;
+    editorFields.gravity.value = mission.gravity;
+    editorFields.fuel.value = mission.fuel;
+    editorFields.windSteady.value = mission.wind ? wind.steady : '';
+    editorFields.windGust.value = mission.wind ? wind.gust : '';
+    editorFields.windTurbulence.value = mission.wind ? wind.turbulence : '';
+    editorFields.par.value = mission.par === null ? '' : mission.par;
+}
+
+// Read the panel's settings into the mission
+function readEditorFields() {
+    const number = field => (field.value.trim() === '' ? null : parseFloat(field.value));
+    editMission((draft) => {
+        draft.name = editorFields.name.value;
+        draft.difficulty = parseInt(editorFields.difficulty.value, 10);
+        draft.goal = editorFields.goal.value;
+        draft.armWidth = number(editorFields.armWidth);
+        draft.gravity = number(editorFields.gravity);
+        draft.fuel = number(editorFields.fuel);
+        draft.par = number(editorFields.par);
+
+        // Any wind setting makes the wind fixed; with none the difficulty's random wind blows
+        const windFields = [editorFields.windSteady, editorFields.windGust, editorFields.windTurbulence];
+        draft.wind = windFields.every(field => field.value.trim() === '') ? null : {
+            steady: number(editorFields.windSteady) || 0,
+            gust: number(editorFields.windGust) || 0,
+            turbulence: number(editorFields.windTurbulence) || 0
+        };
+    });
+}
+
+// Look the given height above the ground-level view, up to the top of the world
+function setEditorView(height) {
+    editorState.viewHeight = Math.max(0, Math.min(-FalconCore.WORLD_TOP, Math.round(height)));
+    editorViewInput.value = editorState.viewHeight;
+}
+
+// Position on the canvas in world coordinates
+function getWorldPoint(event) {
+    const rect = editorCanvas.getBoundingClientRect();
+    const bounds = renderer.bounds; // The part of the world in view (see camera.js)
+    return {
+        x: bounds.min.x + (event.clientX - rect.left) * (bounds.max.x - bounds.min.x) / rect.width,
+        y: bounds.min.y + (event.clientY - rect.top) * (bounds.max.y - bounds.min.y) / rect.height
+    };
+}
+
+// Bounds of an obstacle, or of the spawn box
+function getObstacleBox(obstacle) {
+    return {
+        left: obstacle.x - obstacle.width / 2,
+        top: obstacle.y - obstacle.height / 2,
+        right: obstacle.x + obstacle.width / 2,
+        bottom: obstacle.y + obstacle.height / 2
+    };
+}
+function getSpawnBox(mission) {
+    return { left: mission.spawn.x[0], top: mission.spawn.y[0], right: mission.spawn.x[1], bottom: mission.spawn.y[1] };
+}
+
+// What's under a point: a corner handle, an obstacle, the spawn box, or the tower or drone ship (topmost first)
+function findEditorTarget(point) {
+    const mission = editorState.mission;
+    const nearCorner = box => Math.abs(point.x - box.right) < EDITOR_HANDLE_SIZE && Math.abs(point.y - box.bottom) < EDITOR_HANDLE_SIZE;
+    const inside = box => point.x >= box.left && point.x <= box.right && point.y >= box.top && point.y <= box.bottom;
+
+    for (let index = mission.obstacles.length - 1; index >= 0; index--) {
+        const box = getObstacleBox(mission.obstacles[index]);
+        if (nearCorner(box)) return { target: 'obstacleCorner', index: index };
+        if (inside(box)) return { target: 'obstacle', index: index };
+    }
+
+    const spawnBox = getSpawnBox(mission);
+    if (nearCorner(spawnBox)) return { target: 'spawnCorner' };
+    if (inside(spawnBox)) return { target: 'spawn' };
+
+    if (mission.pad) {
+        const onShip = Math.abs(point.x - mission.pad.x) < mission.pad.width / 2 &&
+                       Math.abs(point.y - FalconCore.PAD_Y) < FalconCore.DRONE_SHIP_HEIGHT;
+        return onShip ? { target: 'pad' } : null;
+    }
+
+    const layout = editorState.sim.layout;
+    if (Math.abs(point.x - layout.x) < EDITOR_TOWER_GRAB) {
+        if (Math.abs(point.y - layout.top) < EDITOR_HANDLE_SIZE) return { target: 'towerTop' };
+        if (point.y > layout.top && point.y < FalconCore.PAD_Y + 20) return { target: 'tower' };
+    }
+    return null;
+}
+
+// Move whatever is being dragged to follow the pointer
+function dragEditorTarget(point) {
+    const drag = editorState.drag;
+    const x = Math.round(point.x - drag.offsetX);
+    const y = Math.round(point.y - drag.offsetY);
+
+    editMission((draft) => {
+        if (drag.target === 'tower') {
+            draft.tower.x = x;
+        } else if (drag.target === 'pad') {
+            draft.pad.x = x;
+        } else if (drag.target === 'towerTop') {
+            draft.tower.height = FalconCore.PAD_Y - y;
+        } else if (drag.target === 'spawn') {
+            const width = draft.spawn.x[1] - draft.spawn.x[0];
+            const height = draft.spawn.y[1] - draft.spawn.y[0];
+            draft.spawn.x = [x, x + width];
+            draft.spawn.y = [y, y + height];
+        } else if (drag.target === 'spawnCorner') {
+            draft.spawn.x[1] = Math.max(draft.spawn.x[0], x);
+            draft.spawn.y[1] = Math.max(draft.spawn.y[0], y);
+        } else if (drag.target === 'obstacle') {
+            draft.obstacles[drag.index].x = x;
+            draft.obstacles[drag.index].y = y;
+        } else if (drag.target === 'obstacleCorner') {
+            // Resize from the top left corner, which stays put
+            const obstacle = draft.obstacles[drag.index];
+            const box = getObstacleBox(obstacle);
+            obstacle.width = Math.max(5, x - box.left);
+            obstacle.height = Math.max(5, y - box.top);
+            obstacle.x = box.left + obstacle.width / 2;
+            obstacle.y = box.top + obstacle.height / 2;
+        }
+    });
+}
+
+// Where a drag target is, so it keeps its offset from the pointer while dragged
+function getEditorTargetOrigin(found) {
+    const mission = editorState.mission;
+    if (found.target === 'tower') return { x: mission.tower.x, y: 0 };
+    if (found.target === 'pad') return { x: mission.pad.x, y: 0 };
+    if (found.target === 'towerTop') return { x: 0, y: FalconCore.PAD_Y - mission.tower.height };
+    if (found.target === 'spawn') return { x: mission.spawn.x[0], y: mission.spawn.y[0] };
+    if (found.target === 'spawnCorner') return { x: mission.spawn.x[1], y: mission.spawn.y[1] };
+    const box = getObstacleBox(mission.obstacles[found.index]);
+    return found.target === 'obstacle' ? mission.obstacles[found.index] : { x: box.right, y: box.bottom };
+}
+
+// Draw the spawn box, obstacle outlines and drag handles over the world
+function drawEditorOverlay() {
+    const ctx = editorCanvas.getContext('2d');
+    const mission = editorState.mission;
+    const layout = editorState.sim.layout;
+
+    const drawHandle = (x, y) => {
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(x - EDITOR_HANDLE_SIZE / 2, y - EDITOR_HANDLE_SIZE / 2, EDITOR_HANDLE_SIZE, EDITOR_HANDLE_SIZE);
+    };
+
+    ctx.save();
+    ctx.lineWidth = 1;
+
+    // Spawn box
+    const spawnBox = getSpawnBox(mission);
+    ctx.setLineDash([6, 4]);
+    ctx.strokeStyle = '#4fc3f7';
+    ctx.strokeRect(spawnBox.left, spawnBox.top, spawnBox.right - spawnBox.left, spawnBox.bottom - spawnBox.top);
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#4fc3f7';
+    ctx.font = '12px Arial';
+    ctx.fillText('Spawn', spawnBox.left + 3, spawnBox.top - 4);
+    drawHandle(spawnBox.right, spawnBox.bottom);
+
+    // Obstacles, the selected one highlighted
+    mission.obstacles.forEach((obstacle, index) => {
+        const box = getObstacleBox(obstacle);
+        ctx.strokeStyle = index === editorState.selected ? '#ffcc00' : '#ffffff';
+        ctx.strokeRect(box.left, box.top, obstacle.width, obstacle.height);
+        drawHandle(box.right, box.bottom);
+    });
+
+    // Tower top, dragged to change its height
+    if (!mission.pad) {
+        drawHandle(layout.x, layout.top);
+    }
+
+    ctx.restore();
+}
+
+// Save the mission being edited as a JSON file
+function downloadMission(mission) {
+    const filename = `${mission.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'mission'}.json`;
+    downloadFile(JSON.stringify(mission, null, 2), 'application/json', filename);
+}
+
+editorCanvas.addEventListener('pointerdown', (e) => {
+    if (!editorState) return;
+
+    const point = getWorldPoint(e);
+    const found = findEditorTarget(point);
+    editorState.selected = found && found.index !== undefined ? found.index : null;
+    if (found) {
+        const origin = getEditorTargetOrigin(found);
+        editorState.drag = { target: found.target, index: found.index, offsetX: point.x - origin.x, offsetY: point.y - origin.y };
+        editorCanvas.setPointerCapture(e.pointerId);
+    }
+});
+
+editorCanvas.addEventListener('pointermove', (e) => {
+    if (!editorState || !editorState.drag) return;
+    dragEditorTarget(getWorldPoint(e));
+});
+
+editorCanvas.addEventListener('pointerup', () => {
+    if (editorState) {
+        editorState.drag = null;
+    }
+});
+
+// Scroll the view up and down the world (scrolling down moves it towards the ground)
+editorCanvas.addEventListener('wheel', (e) => {
+    if (!editorState) return;
+    e.preventDefault();
+    const delta = e.deltaMode === WheelEvent.DOM_DELTA_LINE ? e.deltaY * EDITOR_WHEEL_LINE : e.deltaY;
+    setEditorView(editorState.viewHeight - delta);
+}, { passive: false });
+
+editorViewInput.max = -FalconCore.WORLD_TOP;
+editorViewInput.addEventListener('input', () => {
+    setEditorView(Number(editorViewInput.value));
+});
+
+Object.keys(editorFields).forEach((key) => {
+    editorFields[key].addEventListener('change', () => {
+        readEditorFields();
+    });
+});
+
+document.querySelectorAll('.editor-button').forEach((button) => {
+    button.addEventListener('click', () => {
+        button.blur();
+        openEditor(sim.mission);
+    });
+});
+
+document.getElementById('editorAddObstacleButton').addEventListener('click', () => {
+    editMission((draft) => {
+        draft.obstacles.push({ x: CANVAS_WIDTH / 4, y: CANVAS_HEIGHT / 2 - editorState.viewHeight, width: NEW_OBSTACLE.width, height: NEW_OBSTACLE.height });
+    });
+    editorState.selected = editorState.mission.obstacles.length - 1;
+});
+
+document.getElementById('editorDeleteButton').addEventListener('click', () => {
+    if (editorState.selected === null) return;
+    const index = editorState.selected;
+    editorState.selected = null;
+    editMission((draft) => {
+        draft.obstacles.splice(index, 1);
+    });
+});
+
+// Fly the mission as it is, then keep flying it until going back to free play
+document.getElementById('editorPlayButton').addEventListener('click', () => {
+    const mission = editorState.mission;
+    editorState = null;
+    editorPanelElement.classList.add('hidden');
+    setMission(mission);
+
+    resetGame();
+    animationFrameId = requestAnimationFrame(gameLoop);
+});
+
+document.getElementById('editorSaveButton').addEventListener('click', () => {
+    downloadMission(editorState.mission);
+});
+
+document.getElementById('editorLoadButton').addEventListener('click', () => {
+    editorFileInput.click();
+});
+
+editorFileInput.addEventListener('change', () => {
+    const file = editorFileInput.files[0];
+    editorFileInput.value = '';
+    if (!file) return;
+
+    file.text().then((text) => {
+        openEditor(FalconCore.parseMission(text));
+    }).catch((error) => {
+        editorErrorElement.textContent = `Could not load mission: ${error.message}`;
+    });
+});
+
+document.getElementById('editorCloseButton').addEventListener('click', () => {
+    closeEditor();
+});
@@ -0,0 +1,311 @@
+// Reinforcement learning environment
+// Wraps the headless simulation from core.js in a Gym-style interface so agents
+// can be trained without a browser:
+//
+//     const { createEnv } = require('./env');
+//     const env = createEnv({ difficulty: 2 });
+//     let { observation } = env.reset('abc123');
+//     let done = false;
+//     while (!done) {
+//         const result = env.step(env.sampleAction());
+//         observation = result.observation;
+//         done = result.done || result.truncated;
+//     }
+//
+// Each environment owns its own simulation and physics engine, so any number of
+// them can run side by side in one process (see createVectorEnv()).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./core'), require('./rng'));
+    } else {
+        // In the browser, rng.js defines its functions globally
+        root.FalconEnv = factory(root.FalconCore, root);
+    }
+}(typeof self !== 'undefined' ? self : this, function (FalconCore, SeededRandom) {
+    const MAX_EPISODE_STEPS = 60 * 60; // One minute of simulated time
+
+    // What each entry of an observation means
+    const OBSERVATION_NAMES = [
+        'x', 'y',                       // Rocket position
+        'velocityX', 'velocityY',
+        'angle', 'angularVelocity',
+        'fuel',                         // Fuel left (0-1)
+        'targetOffsetX', 'targetOffsetY' // From the rocket's right catch point to the tip of the right catch arm
+                                         // (or, in a drone ship mission, from the rocket's base to the middle of the deck)
+    ];
+
+    // Discrete actions, as the analog input each one sends
+    const DISCRETE_ACTIONS = [
+        { name: 'noop' },
+        { name: 'thrust', thrust: true },
+        { name: 'left', left: true },
+        { name: 'right', right: true },
+        { name: 'thrustLeft', thrust: true, left: true },
+        { name: 'thrustRight', thrust: true, right: true },
+        { name: 'land', land: true }
+    ];
+
+    // Reward shaping
+    // Progress towards the catch arm (closer, slower, more upright) is rewarded as the
+    // change in a potential between steps, so it can't be farmed by hovering around
+    const DISTANCE_WEIGHT = 1 / 100; // Per pixel from the catch arm
+    const SPEED_WEIGHT = 1 / 4;      // Per pixel per step of speed
+    const TILT_WEIGHT = 1;           // Per radian away from upright
+    const FUEL_WEIGHT = 1 / 100;     // Per unit of fuel burned
+    const TIMEOUT_REWARD = -5;
+
+    // Reward for how the flight ended, by OUTCOMES key
+    const OUTCOME_REWARDS = {
+        catch: 10,
+        landingNotUpright: -2,
+        landingTooFast: -2,
+        landingNotAligned: -2,
+        towerContact: -5,
+        crashTooFast: -10,
+        crashNotUpright: -10,
+        crashMissedTarget: -10,
+        crashObstacle: -10,
+        padLanding: 10,
+        crashSea: -10,
+        breakup: -10
+    };
+
+    // Turn an action into simulation input
+    // Discrete: an index into DISCRETE_ACTIONS
+    // Continuous: [throttle 0..1, rotation -1..1, land] with land triggered above 0.5,
+    // or an input object as taken by sim.step()
+    function actionToInput(action, actionType) {
+        if (actionType === 'discrete') {
+            const discreteAction = DISCRETE_ACTIONS[action];
+            if (!discreteAction) {
+                throw new Error(`Unknown action ${action}, expected 0-${DISCRETE_ACTIONS.length - 1}`);
+            }
+            return FalconCore.encodeInput(discreteAction);
+        }
+
+        if (Array.isArray(action)) {
+            return FalconCore.encodeInput({
+                throttle: action[0],
+                rotation: action[1] || 0,
+                land: action[2] > 0.5
+            });
+        }
+        if (action && typeof action === 'object') {
+            return FalconCore.encodeInput(action);
+        }
+        throw new Error('Continuous actions must be [throttle, rotation, land] or an input object');
+    }
+
+    // Create an environment
+    // Options:
+    //   difficulty - difficulty of every episode (1-5, default 1); unlike the game it doesn't go up after a catch
+    //   actionType - 'discrete' (default) or 'continuous'
+    //   maxSteps   - steps before an episode is cut short (truncated)
+    //   seed       - base seed; episode n uses `${seed}-${n}` unless reset() is given one
+    //   record     - keep each episode's recording (sim.recording) so it can be watched as a replay
+    //   towerOperator - let the tower move and close the catch arms, so the land action isn't needed
+    //   mission    - a mission (JSON text or object, see FalconCore.parseMission()) to fly every episode in,
+    //                at the mission's difficulty instead of `difficulty`
+    function createEnv(options = {}) {
+        const difficulty = options.difficulty || 1;
+        const actionType = options.actionType || 'discrete';
+        const maxSteps = options.maxSteps || MAX_EPISODE_STEPS;
+
+        if (actionType !== 'discrete' && actionType !== 'continuous') {
+            throw new Error(`Unknown action type "${actionType}"`);
+        }
+
+        const sim = FalconCore.createSimulation({
+            difficulty: difficulty,
+            towerOperator: options.towerOperator,
+            mission: options.mission ? FalconCore.parseMission(options.mission) : null
+        });
+
+        const env = {
+            sim: sim,
+            actionType: actionType,
+            observationNames: OBSERVATION_NAMES,
+            actionCount: actionType === 'discrete' ? DISCRETE_ACTIONS.length : null,
+            episode: 0,
+            steps: 0,
+            done: true,
+
+            reset: reset,
+            step: step,
+            sampleAction: sampleAction,
+            getObservation: getObservation
+        };
+
+        let potential = 0;
+
+        // Start a new episode, returns its first observation
+        function reset(seed) {
+            env.episode++;
+            const episodeSeed = seed || (options.seed ? `${options.seed}-${env.episode}` : SeededRandom.generateSeed());
+
+            sim.difficultyLevel = difficulty;
+            sim.startRound(episodeSeed);
+            if (!options.record) {
+                sim.recording = null;
+            }
+
+            env.steps = 0;
+            env.done = false;
+            potential = getPotential();
+
+            return { observation: getObservation(), info: { seed: sim.seed, difficulty: difficulty } };
+        }
+
+        // Advance one step with an action
+        function step(action) {
+            if (env.done) {
+                throw new Error('Episode is over, call reset() first');
+            }
+
+            const fuelBefore = sim.fuel;
+            sim.step(actionToInput(action, actionType));
+            env.steps++;
+
+            let reward = 0;
+            let truncated = false;
+            const info = { steps: env.steps, outcome: null, message: null, success: false, score: 0 };
+
+            if (sim.active) {
+                const nextPotential = getPotential();
+                reward += nextPotential - potential;
+                potential = nextPotential;
+                reward -= (fuelBefore - sim.fuel) * FUEL_WEIGHT;
+
+                if (env.steps >= maxSteps) {
+                    truncated = true;
+                    reward += TIMEOUT_REWARD;
+                    info.outcome = 'timeout';
+                    info.message = 'Out of time';
+                }
+            } else {
+                const outcome = sim.result.outcome;
+                reward += OUTCOME_REWARDS[outcome];
+                if (sim.result.success) {
+                    reward += sim.result.levelScore / 1000;
+                }
+                info.outcome = outcome;
+                info.message = sim.result.message;
+                info.success = sim.result.success;
+                info.score = sim.result.levelScore;
+            }
+
+            env.done = !sim.active || truncated;
+
+            return {
+                observation: getObservation(),
+                reward: reward,
+                done: !sim.active,
+                truncated: truncated,
+                info: info
+            };
+        }
+
+        // Pick a random action (for exploration or testing)
+        function sampleAction() {
+            if (actionType === 'discrete') {
+                return Math.floor(Math.random() * DISCRETE_ACTIONS.length);
+            }
+            return [Math.random(), Math.random() * 2 - 1, 0];
+        }
+
+        // Offset from the rocket to where it has to get to: its right catch point to the tip of the
+        // right catch arm, or its base to the middle of a drone ship's deck
+        function getTargetOffset() {
+            const rocket = sim.rocket;
+            if (sim.pad) {
+                return { x: sim.pad.x - rocket.position.x, y: sim.pad.y - (rocket.position.y + FalconCore.ROCKET_HEIGHT / 2) };
+            }
+            const catchPoint = FalconCore.getCatchPointPosition(rocket, 1);
+            const armTip = FalconCore.getCatchArmTip(sim, 1);
+            return { x: armTip.x - catchPoint.x, y: armTip.y - catchPoint.y };
+        }
+
+        // Current state as numbers, in OBSERVATION_NAMES order
+        function getObservation() {
+            const rocket = sim.rocket;
+            const targetOffset = getTargetOffset();
+            return [
+                rocket.position.x,
+                rocket.position.y,
+                rocket.velocity.x,
+                rocket.velocity.y,
+                rocket.angle,
+                rocket.angularVelocity,
+                sim.fuel / FalconCore.INITIAL_FUEL,
+                targetOffset.x,
+                targetOffset.y
+            ];
+        }
+
+        // How promising the current state is (higher is better)
+        function getPotential() {
+            const rocket = sim.rocket;
+            const targetOffset = getTargetOffset();
+            const distance = Math.hypot(targetOffset.x, targetOffset.y);
+            const speed = Math.hypot(rocket.velocity.x, rocket.velocity.y);
+            const tilt = Math.abs(Math.atan2(Math.sin(rocket.angle), Math.cos(rocket.angle)));
+            return -(distance * DISTANCE_WEIGHT + speed * SPEED_WEIGHT + tilt * TILT_WEIGHT);
+        }
+
+        return env;
+    }
+
+    // Create several environments stepped together
+    // An environment whose episode ends is reset straight away; its step result then
+    // carries the new episode's first observation and the final one in info.finalObservation
+    function createVectorEnv(count, options = {}) {
+        const envs = [];
+        for (let i = 0; i < count; i++) {
+            envs.push(createEnv(Object.assign({}, options, {
+                seed: options.seed ? `${options.seed}-env${i}` : undefined
+            })));
+        }
+
+        // Start new episodes in every environment (seeds is an optional array)
+        function reset(seeds = []) {
+            return envs.map((env, i) => env.reset(seeds[i]).observation);
+        }
+
+        // Advance every environment with one action each
+        function step(actions) {
+            const results = envs.map((env, i) => {
+                const result = env.step(actions[i]);
+                if (result.done || result.truncated) {
+                    result.info.finalObservation = result.observation;
+                    result.observation = env.reset().observation;
+                }
+                return result;
+            });
+
+            return {
+                observations: results.map(result => result.observation),
+                rewards: results.map(result => result.reward),
+                dones: results.map(result => result.done),
+                truncated: results.map(result => result.truncated),
+                infos: results.map(result => result.info)
+            };
+        }
+
+        return {
+            envs: envs,
+            count: count,
+            reset: reset,
+            step: step,
+            sampleActions: () => envs.map(env => env.sampleAction())
+        };
+    }
+
+    return {
+        OBSERVATION_NAMES: OBSERVATION_NAMES,
+        DISCRETE_ACTIONS: DISCRETE_ACTIONS,
+        OUTCOME_REWARDS: OUTCOME_REWARDS,
+        MAX_EPISODE_STEPS: MAX_EPISODE_STEPS,
+        createEnv: createEnv,
+        createVectorEnv: createVectorEnv
+    };
+}));
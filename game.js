@@ -1,46 +1,38 @@
+// Falcon landing game - browser view
+// The simulation lives in core.js; this file draws it, runs the HUD and game over
+// screens, and feeds the simulation the player's input at a fixed rate.
+
 // Initialize Matter.js
-const Engine = Matter.Engine,
-      Render = Matter.Render,
-      Runner = Matter.Runner,
-      Bodies = Matter.Bodies,
-      Body = Matter.Body,
-      Composite = Matter.Composite,
-      Constraint = Matter.Constraint,
-      Events = Matter.Events,
-      Vector = Matter.Vector;
+const Render = Matter.Render,
+      Events = Matter.Events;
 
 // Game constants
-const CANVAS_WIDTH = 1200;
-const CANVAS_HEIGHT = 600;
-const GRAVITY = 0.25;
-const THRUST_FORCE = 0.004;
-const ROTATION_FORCE = 0.0011;
-const FUEL_CONSUMPTION_RATE = 0.3;
-const INITIAL_FUEL = 500;
-const MAX_SPEED = 4;
-const BASE_CATCH_ARM_WIDTH = 60; // Base width for difficulty level 1
+const CANVAS_WIDTH = FalconCore.WORLD_WIDTH;
+const CANVAS_HEIGHT = FalconCore.WORLD_HEIGHT;
+const PHYSICS_STEP = FalconCore.PHYSICS_STEP;
+const REQUIRED_ALIGNMENT_DURATION = FalconCore.REQUIRED_ALIGNMENT_DURATION;
+const MAX_FRAME_TIME = 250; // Longest frame we catch up on, so a stalled tab doesn't fast-forward the flight
+const PHASE_CALLOUT_STEPS = 150; // Steps a new flight phase's callout stays on screen
+const MAX_Q_WARNING = 0.75; // Share of the max-Q limit from which the drag readout warns
+const DOWNLOAD_URL_LIFETIME = 40000; // Milliseconds a download's object URL is kept; revoking it at once can cancel the download in some browsers
 
 // Game state
-let engine;
-let rocket;
-let centerChopstick;
-let rightCatchArm;  // Right catch arm only
-let rocketCatchConstraint; // Constraint to attach rocket to catch arm (right point)
-let rocketCatchConstraint2; // Constraint for the left catch point
-let gameActive = false;
-let fuel = INITIAL_FUEL;
-let score = 0;
-let totalScore = 0; // Track accumulated score across levels
-let gameOverMessage = '';
-let thrusterActive = false;
-let difficultyLevel = 1; // Start at level 1
-let successfulLandings = 0; // Count successful landings
+let sim; // The game's simulation (see core.js)
+let renderer; // Matter.js renderer, drawn once per animation frame by the game loop
 let animationFrameId = null; // Track the animation frame ID
-let throttleLevel = 0; // Current throttle level (0-100%)
-let throttleChangeRate = 1.1; // How fast throttle changes per frame (percentage points)
-let alignmentStartTime = 0; // Time when alignment started
-let alignmentDuration = 0; // How long the rocket has been aligned
-const REQUIRED_ALIGNMENT_DURATION = 30; // Frames required to maintain alignment (about 1 second at 60fps)
+let pinnedSeed = null; // Seed chosen by the player (URL, input or daily challenge); null means a fresh seed each round
+let startingDifficulty = 1; // Difficulty the game starts at (can come from a challenge link)
+let landRequested = false; // Set by the land control (SPACE by default), handled on the next simulation step
+let pilotMode = 'manual'; // 'manual', 'assist' (holds the rocket upright unless steering) or 'autopilot'
+let flightPilotMode = 'manual'; // Most help the current flight has had at any step, whatever mode it ends in
+let towerOperator = false; // When on, the tower moves and closes the catch arms itself instead of the land control closing them
+
+// Names shown for each pilot mode, in the order the P key cycles through them
+const PILOT_MODE_NAMES = {
+    manual: 'Manual',
+    assist: 'Assist',
+    autopilot: 'Autopilot'
+};
 
 // FPS tracking variables
 let lastFrameTime = performance.now();
@@ -49,10 +41,22 @@ let lastFpsUpdate = performance.now();
 let currentFps = 0;
 const fpsUpdateInterval = 500; // Update FPS display every 500ms
 
+// Fixed timestep variables
+let stepAccumulator = 0; // Simulated time owed to the physics, in milliseconds
+let previousRocketPose = null; // Rocket pose before the latest step, for interpolated drawing
+
 // UI elements
 const fuelDisplay = document.getElementById('fuel');
+const burnTimeDisplay = document.getElementById('burn-time');
+const twrDisplay = document.getElementById('twr');
+const rcsDisplay = document.getElementById('rcs');
 const velocityDisplay = document.getElementById('velocity');
+const altitudeDisplay = document.getElementById('altitude');
+const phaseDisplay = document.getElementById('phase');
+const maxQDisplay = document.getElementById('max-q');
 const thrustDisplay = document.getElementById('thrust');
+const windDisplay = document.getElementById('wind');
+const armsDisplay = document.getElementById('arms');
 const scoreDisplay = document.getElementById('score');
 const gameOverElement = document.getElementById('gameOver');
 const gameOverMessageElement = document.getElementById('gameOverMessage');
@@ -61,6 +65,11 @@ const restartButton = document.getElementById('restartButton');
 const canvas = document.getElementById('gameCanvas');
 const alignmentStatusDisplay = document.getElementById('alignment-status');
 const fpsDisplay = document.getElementById('fps');
+const seedDisplay = document.getElementById('seed');
+const seedInput = document.getElementById('seedInput');
+const dailySeedButton = document.getElementById('dailySeedButton');
+const shareButton = document.getElementById('shareButton');
+const pilotModeDisplay = document.getElementById('pilot-mode');
 // Add debug display element
 const debugDisplayElement = document.getElementById('debug-values') || document.createElement('div');
 if (!debugDisplayElement.id) {
@@ -78,132 +87,68 @@ if (!debugDisplayElement.id) {
     debugDisplayElement.style.zIndex = '1000';
     document.body.appendChild(debugDisplayElement);
 }
+// Built once: a heading, and the lines under it that updateAlignmentDisplay() rewrites each frame
+const debugHeadingElement = document.createElement('strong');
+debugHeadingElement.textContent = 'DEBUG ALIGNMENT:';
+const debugLinesElement = document.createElement('div');
+debugLinesElement.style.whiteSpace = 'pre';
+debugLinesElement.textContent = 'Waiting for alignment attempt...';
+debugDisplayElement.replaceChildren(debugHeadingElement, debugLinesElement);
+updateInspectorReadout(); // Hidden unless the inspector's showing it
+
+// Callouts for each flight phase (see FLIGHT_PHASES in core.js): its name and what to do in it
+const PHASE_CALLOUTS = {
+    boostback: { name: 'Boostback', hint: 'Lean back towards the target and burn to turn around' },
+    coast: { name: 'Coast', hint: 'Engine off: get upright and tail-first for entry' },
+    entry: { name: 'Entry Burn', hint: 'Burn to keep Max-Q under 100% as the air thickens' },
+    landing: { name: 'Landing Burn', hint: 'Burn at the mark on the altitude tape to arrive slowly' }
+};
 
 // Initialize the game
 function init() {
-    // Create engine
-    engine = Engine.create({
-        gravity: {
-            x: 0,
-            y: GRAVITY
-        }
-    });
+    // Create the simulation
+    sim = FalconCore.createSimulation({ difficulty: startingDifficulty });
+    Events.on(sim, 'flightEnd', (event) => endGame(event.result));
 
     // Setup renderer
-    const render = Render.create({
+    renderer = Render.create({
         canvas: canvas,
-        engine: engine,
+        engine: sim.engine,
         options: {
             width: CANVAS_WIDTH,
             height: CANVAS_HEIGHT,
             wireframes: false,
             background: '#000',
-            showAngleIndicator: false
+            showAngleIndicator: false,
+            hasBounds: true // The camera (camera.js) moves the view around the world
         }
     });
 
-    // Create rocket (more detailed with catch points)
-    const rocketBody = Bodies.rectangle(CANVAS_WIDTH / 2, 50, 14, 70, {
-        density: 0.01,
-        frictionAir: 0.012,
-        restitution: 0.15,
-        render: {
-            fillStyle: '#e0e0e0',
-            strokeStyle: '#aaaaaa',
-            lineWidth: 1
-        }
-    });
-    
-    // Add rocket catch points (these are visual only)
-    const catchPointsRadius = 4;
-    const rocketHeight = 70;
-    
-    // The main rocket body is our physics object
-    rocket = rocketBody;
-
-    // Create Mechazilla tower and catch arms
-    const padY = CANVAS_HEIGHT - 20;
-    const padWidth = 150;
-    const chopstickHeight = 160; // Make it taller since there's no landing pad
-    const catchArmWidth = calculateCatchArmWidth(); // Dynamic width based on difficulty
-    const catchArmHeight = 8;
-    const catchPointY = padY - chopstickHeight + 30; // Position for the catch arms
-    
-    // Create a solid base for the Mechazilla tower
-    const baseWidth = 60;
-    const baseHeight = 20;
-    const towerBase = Bodies.rectangle(
-        CANVAS_WIDTH / 2,
-        CANVAS_HEIGHT - baseHeight/2,
-        baseWidth,
-        baseHeight,
-        { isStatic: true, render: { fillStyle: '#555555' } }
-    );
-    
-    // Center tower (Mechazilla)
-    centerChopstick = Bodies.rectangle(
-        CANVAS_WIDTH / 2, 
-        padY - chopstickHeight / 2, 
-        10,
-        chopstickHeight, 
-        { isStatic: true, render: { fillStyle: '#666666' } }
-    );
-    
-    // Only right catch arm
-    rightCatchArm = Bodies.rectangle(
-        CANVAS_WIDTH / 2 + catchArmWidth / 2 + 5, 
-        catchPointY,
-        catchArmWidth,
-        catchArmHeight,
-        { 
-            isStatic: true, 
-            render: { 
-                fillStyle: '#888888', 
-                strokeStyle: difficultyLevel === 1 ? '#ff3300' : 
-                             difficultyLevel === 2 ? '#ff6600' : 
-                             difficultyLevel === 3 ? '#ff9900' : 
-                             difficultyLevel === 4 ? '#ffcc00' : '#ffff00',
-                lineWidth: 2 
-            },
-            collisionFilter: {
-                group: -1,  // Negative group means it won't collide with anything
-                category: 0x0002,
-                mask: 0x0000  // Won't collide with any category
-            }
-        }
-    );
-
-    // Add bodies to the world (no landing pad and only right catch arm)
-    Composite.add(engine.world, [rocket, centerChopstick, rightCatchArm, towerBase]);
+    // Draw at the screen's real resolution, and again whenever the page is resized
+    resizeCanvas();
+    window.addEventListener('resize', resizeCanvas);
 
-    // Add invisible floor to catch failed landings
-    const floor = Bodies.rectangle(
-        CANVAS_WIDTH / 2, 
-        CANVAS_HEIGHT + 25,  // Below the visible area
-        CANVAS_WIDTH * 2, 
-        50, 
-        { isStatic: true, render: { visible: false } }
-    );
-    
-    // Add walls to keep the rocket within bounds
-    const walls = [
-        Bodies.rectangle(CANVAS_WIDTH / 2, -10, CANVAS_WIDTH, 20, { isStatic: true }), // top
-        floor, // invisible floor at the bottom
-        Bodies.rectangle(-10, CANVAS_HEIGHT / 2, 20, CANVAS_HEIGHT, { isStatic: true }), // left
-        Bodies.rectangle(CANVAS_WIDTH + 10, CANVAS_HEIGHT / 2, 20, CANVAS_HEIGHT, { isStatic: true }) // right
-    ];
-    Composite.add(engine.world, walls);
+    // Physics and rendering are both driven by the game loop
+    // (the simulation runs at a fixed rate so flights play the same on every display and can be replayed exactly)
 
-    // Start the engine and renderer
-    Render.run(render);
-    Runner.run(engine);
-
-    // Set up collision detection
-    setupCollisionDetection();
+    // Open on the title screen; the first round starts when the player presses Start
+    setPilotMode(pilotMode);
+    setTowerOperator(towerOperator);
+    updateControlsHint();
+    startDemo();
+}
 
-    // Reset game state
-    resetGame();
-    gameActive = true;
+// Match the canvas resolution to its size on screen
+// The canvas is stretched to fit the window by CSS; the view (see camera.js) is always drawn in
+// CANVAS_WIDTH x CANVAS_HEIGHT coordinates and scaled up (or down) to the real pixels,
+// including the extra pixels of high-DPI screens, so it stays sharp at any size.
+function resizeCanvas() {
+    const displayWidth = canvas.clientWidth || CANVAS_WIDTH;
+    const scale = (displayWidth / CANVAS_WIDTH) * (window.devicePixelRatio || 1);
+
+    canvas.width = Math.round(CANVAS_WIDTH * scale);
+    canvas.height = Math.round(CANVAS_HEIGHT * scale);
+    renderer.options.pixelRatio = scale; // Render.world() scales its drawing by this
 }
 
 // Handle keyboard controls
@@ -211,37 +156,96 @@ const keys = {};
 let lastLandingTime = 0; // Add timestamp for last landing attempt
 
 document.addEventListener('keydown', (e) => {
-    keys[e.key] = true;
-    
-    // Handle space key press
-    if (e.code === 'Space' || e.key === ' ') {
+    // Let the player type in the seed and initials fields without steering the rocket
+    if (e.target === seedInput || e.target === initialsInput) return;
+
+    // Remapping a control on the settings screen takes the next key press
+    if (handleBindingKey(e) || isSettingsOpen() || isScoresOpen() || isCampaignOpen() || isEditorOpen()) return;
+
+    keys[normalizeKey(e.key)] = true;
+    lastInputDevice = 'keyboard';
+
+    const action = getKeyAction(e.key);
+    if (action === 'pilotMode' && !e.repeat) {
+        cyclePilotMode();
+    }
+    if (action === 'telemetry' && !e.repeat) {
+        toggleTelemetryPanel();
+    }
+    if (action === 'mute' && !e.repeat) {
+        toggleMute();
+    }
+    if (action === 'pause' && !e.repeat) {
+        togglePause();
+    }
+    if (action === 'slowMotion' && !e.repeat) {
+        cycleSlowMotion();
+    }
+    if (action === 'frameStep') {
+        requestFrameStep();
+    }
+    if (action === 'inspector' && !e.repeat) {
+        toggleInspector();
+    }
+    if (getInspectorLayer(action) && !e.repeat) {
+        toggleInspectorLayer(getInspectorLayer(action));
+    }
+    if (action === 'land') {
         e.preventDefault(); // Prevent page scrolling
-        
-        const currentTime = Date.now();
-        
-        // If game is active, attempt landing
-        if (gameActive) {
-            attemptLanding();
-            lastLandingTime = currentTime;
-        } 
-        // For restarting, use a shorter cooldown period
-        else if (!gameActive && currentTime - lastLandingTime > 100) {
-            lastLandingTime = currentTime;
-            resetGame();
-            animationFrameId = requestAnimationFrame(gameLoop);
-        }
+        handleLandPress();
     }
 });
 document.addEventListener('keyup', (e) => {
-    keys[e.key] = false;
+    keys[normalizeKey(e.key)] = false;
 });
 
+// The land control (SPACE by default) also starts rounds and pauses replays
+function handleLandPress() {
+    const currentTime = Date.now();
+
+    // While watching a replay, it pauses and resumes it
+    if (replayState) {
+        toggleReplayPlayback();
+    }
+    // On the title screen, it starts the game
+    else if (demoState) {
+        lastLandingTime = currentTime;
+        stopDemo();
+    }
+    // If game is active, attempt landing on the next simulation step
+    // (paused, only when frame stepping, so the arms don't close the moment the flight resumes)
+    else if (sim.active) {
+        if (isPaused() && !pauseState.stepping) return;
+        landRequested = true;
+        lastLandingTime = currentTime;
+    }
+    // For restarting, use a shorter cooldown period
+    else if (currentTime - lastLandingTime > 100) {
+        lastLandingTime = currentTime;
+        applySeedInput();
+        resetGame();
+        animationFrameId = requestAnimationFrame(gameLoop);
+    }
+}
+
+// The simulation currently on screen (the mission editor's, the replay's or the title screen demo's while one is showing)
+function getShownSimulation() {
+    if (editorState) return editorState.sim;
+    if (replayState) return replayState.sim;
+    if (demoState) return demoState.sim;
+    return sim;
+}
+
 // Game loop
+// Runs once per animation frame: catches the simulation up in fixed steps, then draws
 function gameLoop() {
+    // Gamepads can't send events for their buttons and sticks, so read them every frame
+    pollGamepad();
+
     // Calculate FPS
     const currentTime = performance.now();
     frameCount++;
-    
+
     // Update FPS display every 500ms
     if (currentTime - lastFpsUpdate >= fpsUpdateInterval) {
         currentFps = Math.round((frameCount * 1000) / (currentTime - lastFpsUpdate));
@@ -249,384 +253,480 @@ function gameLoop() {
         frameCount = 0;
         lastFpsUpdate = currentTime;
     }
-    
+
+    const frameTime = Math.min(currentTime - lastFrameTime, MAX_FRAME_TIME);
     lastFrameTime = currentTime;
 
-    // Always draw the rocket with catch points, even when game is over
-    drawRocketWithCatchPoints();
-    
-    if (!gameActive) {
-        // Continue the animation loop even when game is over
-        animationFrameId = requestAnimationFrame(gameLoop);
-        return;
+    if (isPaused()) {
+        // Paused: only single steps asked for with the frame step control run
+        stepAccumulator = 0;
+        if (takeFrameStep()) {
+            advanceFixedStep();
+            updatePauseDisplay();
+        }
+    } else {
+        // Replays (and everything in slow motion) play slower by feeding the simulation less time
+        stepAccumulator += (replayState ? frameTime * replayState.speed : frameTime) * pauseState.timeScale;
+        while (stepAccumulator >= PHYSICS_STEP) {
+            if (!advanceFixedStep()) {
+                stepAccumulator = 0; // Paused replay, nothing to catch up on
+                break;
+            }
+            stepAccumulator -= PHYSICS_STEP;
+        }
     }
 
-    // Apply speed limit to prevent extreme velocities
-    limitRocketSpeed();
-    
-    // Check for successful alignment landing when game is active
-    checkForAlignmentLanding();
+    // Draw between the last two steps so motion stays smooth at any refresh rate
+    // (paused, the latest step is shown as it is)
+    const shownSim = getShownSimulation();
+    const stepFraction = isPaused() ? 1 : stepAccumulator / PHYSICS_STEP;
+    const rocketPose = getInterpolatedRocketPose(shownSim, stepFraction);
+    updateCatchArmAppearance(shownSim);
+    renderer.engine = shownSim.engine;
+    updateCamera(shownSim, rocketPose, frameTime);
+    Render.world(renderer);
+
+    // Draw the rest of the world through the camera too
+    Render.startViewTransform(renderer);
+    drawAltitudeMarks();
+    drawSea(shownSim);
+
+    // Always draw the rocket with catch points, even when game is over (unless it's been
+    // destroyed, when Matter draws its debris)
+    drawParticles(shownSim);
+    drawGhost(shownSim, stepFraction);
+    if (shownSim.debris.length === 0) {
+        drawRocketWithCatchPoints(rocketPose);
+    }
+    drawThrusterFlame(shownSim, rocketPose);
+    drawRcsPuffs(shownSim, rocketPose);
+    drawWindsock(shownSim);
+    if (editorState) {
+        drawEditorOverlay();
+    }
+    drawInspector(shownSim);
+    Render.endViewTransform(renderer);
+    drawAltitudeTape(shownSim);
+    drawPhaseCallout(shownSim);
+    drawInspectorLegend();
+    updateFlightDisplay(shownSim);
+    drawTelemetry();
+    updateSound(shownSim);
+    if (replayState) {
+        updateReplayControls();
+    }
 
-    // Handle throttle dynamics
-    if (keys['ArrowUp'] && fuel > 0) {
-        // Gradually increase throttle when up arrow is pressed
-        throttleLevel = Math.min(100, throttleLevel + throttleChangeRate);
-        thrusterActive = true;
-    } else {
-        // Gradually decrease throttle when up arrow is released
-        throttleLevel = Math.max(0, throttleLevel - throttleChangeRate * 1.5);
-        thrusterActive = throttleLevel > 5; // Still show visual effects for low throttle
-    }
-    
-    // Apply thrust based on current throttle level
-    if (throttleLevel > 0 && fuel > 0) {
-        // Scale thrust force by current throttle percentage
-        const throttlePercent = throttleLevel / 100;
-        
-        // Calculate thrust - slightly stronger when falling fast
-        let appliedThrust = THRUST_FORCE * throttlePercent;
-        if (rocket.velocity.y > 2) {
-            appliedThrust = appliedThrust * 1.3;
-        }
-        
-        const thrustVector = Vector.rotate(
-            { x: 0, y: -appliedThrust },
-            rocket.angle
-        );
-        Body.applyForce(rocket, rocket.position, thrustVector);
-        
-        // Consume fuel based on throttle level
-        const fuelConsumptionRate = FUEL_CONSUMPTION_RATE * (throttlePercent * 0.8 + 0.2);
-        fuel = Math.max(0, fuel - fuelConsumptionRate);
-        fuelDisplay.textContent = `Fuel: ${Math.round(fuel)}%`;
-
-        // Draw thruster flame (visual effect) - size based on throttle
-        const ctx = canvas.getContext('2d');
-        const rocketPos = rocket.position;
-        const rocketAngle = rocket.angle;
-        
-        // Use the rocket's angle to position the thruster flame
-        const flameLength = (10 + Math.random() * 5) * (0.5 + throttlePercent * 0.5); // Variable flame length based on throttle
-        const thrusterX = rocketPos.x - Math.sin(rocketAngle) * 35;
-        const thrusterY = rocketPos.y + Math.cos(rocketAngle) * 35;
-        
-        ctx.save();
-        ctx.translate(thrusterX, thrusterY);
-        ctx.rotate(rocketAngle);
-        
-        // Draw flame
-        ctx.beginPath();
-        ctx.moveTo(0, 0);
-        ctx.lineTo(-8, flameLength);
-        ctx.lineTo(8, flameLength);
-        ctx.closePath();
-        
-        // Create gradient for flame
-        const gradient = ctx.createLinearGradient(0, 0, 0, flameLength);
-        gradient.addColorStop(0, '#ff9500');
-        gradient.addColorStop(1, '#ff2d00');
-        ctx.fillStyle = gradient;
-        ctx.fill();
-        
-        ctx.restore();
+    animationFrameId = requestAnimationFrame(gameLoop);
+}
+
+// Run one fixed simulation step and sample it for the telemetry and particles
+// Returns false when there was nothing to run (see runFixedStep())
+function advanceFixedStep() {
+    previousRocketPose = getRocketPose(getShownSimulation());
+    if (!runFixedStep()) return false;
+    recordTelemetry(getShownSimulation());
+    updateParticles(getShownSimulation());
+    return true;
+}
+
+// Run one fixed simulation step; returns false when a paused or finished replay, or the editor, has nothing to run
+function runFixedStep() {
+    if (editorState) return false;
+    if (replayState) {
+        // Replays drive their own simulation from the recorded inputs
+        return advanceReplay();
+    }
+    if (demoState) {
+        return advanceDemo();
+    }
+
+    sim.step(readPlayerInput());
+    advanceGhost();
+    return true;
+}
+
+// Collect the player's controls for the next simulation step
+function readPlayerInput() {
+    // Switching back to manual before the end doesn't make a flight the player's own
+    const modes = Object.keys(PILOT_MODE_NAMES);
+    if (modes.indexOf(pilotMode) > modes.indexOf(flightPilotMode)) {
+        flightPilotMode = pilotMode;
     }
 
-    // Rotation control (left/right arrows)
-    if (keys['ArrowLeft'] && fuel > 0) {
-        Body.setAngularVelocity(rocket, rocket.angularVelocity - ROTATION_FORCE);
-        fuel = Math.max(0, fuel - FUEL_CONSUMPTION_RATE / 4);
+    if (pilotMode === 'autopilot') {
+        landRequested = false;
+        return FalconAutopilot.getAutopilotInput(sim);
     }
-    if (keys['ArrowRight'] && fuel > 0) {
-        Body.setAngularVelocity(rocket, rocket.angularVelocity + ROTATION_FORCE);
-        fuel = Math.max(0, fuel - FUEL_CONSUMPTION_RATE / 4);
+
+    const controls = {
+        thrust: isActionHeld('thrust'),
+        left: isActionHeld('left') || touchState.left,
+        right: isActionHeld('right') || touchState.right,
+        land: landRequested,
+        throttle: null, // null ramps the throttle with the thrust key
+        rotation: 0
+    };
+    landRequested = false;
+
+    // On a gamepad the trigger sets the throttle directly and the stick turns proportionally
+    if (lastInputDevice === 'gamepad') {
+        controls.throttle = gamepadState.throttle;
+        controls.rotation = gamepadState.rotation;
+    }
+    // On a touch screen the throttle lever works the same way, and tilting the device can steer
+    else if (lastInputDevice === 'touch') {
+        controls.throttle = touchState.throttle;
+        controls.rotation = touchState.tiltRotation;
+    }
+
+    // Assist keeps the rocket upright whenever the player isn't steering
+    if (pilotMode === 'assist' && !controls.left && !controls.right && controls.rotation === 0) {
+        controls.rotation = FalconAutopilot.getAttitudeHoldRotation(sim);
     }
+    return controls;
+}
+
+// Turn the tower operator on or off (takes effect from the next round)
+function setTowerOperator(enabled) {
+    towerOperator = enabled;
+    sim.towerOperator = enabled;
+    towerModeSelect.value = enabled ? 'operator' : 'manual';
+}
+
+// Move on to the next pilot mode (manual, assist, autopilot)
+function cyclePilotMode() {
+    const modes = Object.keys(PILOT_MODE_NAMES);
+    setPilotMode(modes[(modes.indexOf(pilotMode) + 1) % modes.length]);
+}
+
+// Switch who flies the rocket
+function setPilotMode(mode) {
+    pilotMode = mode;
+    pilotModeSelect.value = mode;
+    pilotModeDisplay.textContent = `Pilot: ${PILOT_MODE_NAMES[mode]}`;
+    pilotModeDisplay.style.color = mode === 'manual' ? '' : '#4fc3f7';
+}
+
+// Save text as a file in the browser's downloads
+function downloadFile(text, type, filename) {
+    const url = URL.createObjectURL(new Blob([text], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME);
+}
+
+// Current position and angle of a simulation's rocket
+function getRocketPose(shownSim) {
+    const rocket = shownSim.rocket;
+    return {
+        body: rocket,
+        x: rocket.position.x,
+        y: rocket.position.y,
+        angle: rocket.angle
+    };
+}
+
+// Rocket pose blended between the previous and current step (alpha 0..1)
+function getInterpolatedRocketPose(shownSim, alpha, previousPose = previousRocketPose) {
+    const current = getRocketPose(shownSim);
+
+    // A new flight (or switching to a replay) replaces the rocket body, so there's nothing to blend from
+    if (!previousPose || previousPose.body !== current.body) {
+        return current;
+    }
+
+    return {
+        body: current.body,
+        x: previousPose.x + (current.x - previousPose.x) * alpha,
+        y: previousPose.y + (current.y - previousPose.y) * alpha,
+        angle: previousPose.angle + (current.angle - previousPose.angle) * alpha
+    };
+}
+
+// Draw thruster flame (visual effect) - size based on throttle
+function drawThrusterFlame(shownSim, pose) {
+    if (!shownSim.active || shownSim.throttleLevel <= 0 || shownSim.fuel <= 0) return;
+
+    const throttlePercent = shownSim.throttleLevel / 100;
+    const ctx = canvas.getContext('2d');
+    const rocketPos = pose;
+    const rocketAngle = pose.angle;
 
-    // Apply dampening to angular velocity for smoother rotation
-    Body.setAngularVelocity(rocket, rocket.angularVelocity * 0.95);
+    // Use the rocket's angle to position the thruster flame
+    const flameLength = (10 + Math.random() * 5) * (0.5 + throttlePercent * 0.5); // Variable flame length based on throttle
+    const thrusterX = rocketPos.x - Math.sin(rocketAngle) * 35;
+    const thrusterY = rocketPos.y + Math.cos(rocketAngle) * 35;
+
+    ctx.save();
+    ctx.translate(thrusterX, thrusterY);
+    ctx.rotate(rocketAngle + shownSim.gimbalAngle); // The flame follows the gimballed engine
+
+    // Draw flame
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(-8, flameLength);
+    ctx.lineTo(8, flameLength);
+    ctx.closePath();
+
+    // Create gradient for flame
+    const gradient = ctx.createLinearGradient(0, 0, 0, flameLength);
+    gradient.addColorStop(0, '#ff9500');
+    gradient.addColorStop(1, '#ff2d00');
+    ctx.fillStyle = gradient;
+    ctx.fill();
+
+    ctx.restore();
+}
+
+// Draw puffs of gas from the RCS thrusters near the top while they fire
+// Gas comes out on the opposite side to the way the thrusters push
+function drawRcsPuffs(shownSim, pose) {
+    if (!shownSim.active || shownSim.rcsOutput === 0) return;
+
+    const ctx = canvas.getContext('2d');
+    const side = shownSim.rcsOutput > 0 ? -1 : 1;
+    const puffLength = 6 + Math.abs(shownSim.rcsOutput) * 8;
+
+    ctx.save();
+    ctx.translate(pose.x, pose.y);
+    ctx.rotate(pose.angle);
+    ctx.translate(side * FalconCore.ROCKET_WIDTH / 2, -FalconCore.ROCKET_HEIGHT / 2 + 5);
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(side * puffLength, -3 - Math.random() * 2);
+    ctx.lineTo(side * puffLength, 3 + Math.random() * 2);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.restore();
+}
+
+// Update the fuel, velocity, thrust, wind and catch arm readouts and the alignment status
+function updateFlightDisplay(shownSim) {
+    if (!shownSim.active) return;
+
+    updateFuelDisplay(shownSim);
 
     // Update velocity display
+    const rocket = shownSim.rocket;
     const velocity = Math.sqrt(
-        rocket.velocity.x * rocket.velocity.x + 
+        rocket.velocity.x * rocket.velocity.x +
         rocket.velocity.y * rocket.velocity.y
     );
     velocityDisplay.textContent = `Velocity: ${velocity.toFixed(2)} m/s`;
-    
+    altitudeDisplay.textContent = `Altitude: ${Math.round(FalconCore.getDescentStatus(shownSim).altitude)} m`;
+    updatePhaseDisplay(shownSim);
+
     // Update thrust display
-    thrustDisplay.textContent = `Thrust: ${Math.round(throttleLevel)}%`;
+    thrustDisplay.textContent = shownSim.engineOut ? 'Thrust: ENGINE OUT' : `Thrust: ${Math.round(shownSim.throttleLevel)}%`;
+    thrustDisplay.style.color = shownSim.engineOut ? '#ff3300' : '';
+    updateWindDisplay(shownSim.wind);
+    updateArmsDisplay(shownSim.arms);
+
+    if (shownSim.landing) {
+        updateAlignmentDisplay(shownSim.alignment, shownSim.alignmentDuration, shownSim.arms);
+        updateScoreDisplay(shownSim);
+    }
+}
 
-    animationFrameId = requestAnimationFrame(gameLoop);
+// Show the flight phase, and the drag on the rocket as a share of the limit it breaks up at
+function updatePhaseDisplay(shownSim) {
+    const descent = FalconCore.getDescentStatus(shownSim);
+    const share = descent.load / descent.maxLoad;
+    phaseDisplay.textContent = `Phase: ${PHASE_CALLOUTS[shownSim.phase].name}`;
+    maxQDisplay.textContent = `Max-Q: ${Math.round(share * 100)}%`;
+    maxQDisplay.style.color = share >= MAX_Q_WARNING ? '#ff3300' : '';
 }
 
-// Limit rocket speed to prevent extreme velocities
-function limitRocketSpeed() {
-    const velocity = rocket.velocity;
-    const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
-    
-    if (speed > MAX_SPEED) {
-        const ratio = MAX_SPEED / speed;
-        Body.setVelocity(rocket, {
-            x: velocity.x * ratio,
-            y: velocity.y * ratio
-        });
+// Show the score so far, and what a catch would add if the arms closed now
+function updateScoreDisplay(shownSim) {
+    const landing = shownSim.landing;
+    scoreDisplay.textContent = landing.success
+        ? `Score: ${shownSim.totalScore} (catch now: +${landing.points})`
+        : `Score: ${shownSim.totalScore}`;
+}
+
+// Show whether the catch arms are open, closing or closed, and who's working them
+function updateArmsDisplay(arms) {
+    let state = 'open';
+    if (arms.closing) {
+        state = `closing ${Math.round(arms.closure * 100)}%`;
+    } else if (arms.closure >= 1) {
+        state = 'closed';
     }
+    armsDisplay.textContent = `Arms: ${state}${arms.operator ? ' (tower operator)' : ''}`;
+    armsDisplay.style.color = arms.closing ? '#ffcc00' : '';
 }
 
-// Attempt landing when space is pressed
-function attemptLanding() {
-    // If no rocket or tower, or game not active, exit early
-    if (!rocket || !rightCatchArm || !gameActive) return;
-    
-    // Calculate rocket's velocity
-    const landingVelocity = Math.sqrt(
-        rocket.velocity.x * rocket.velocity.x + 
-        rocket.velocity.y * rocket.velocity.y
-    );
-    
-    // Check if rocket is upright
-    const isUprightLanding = Math.abs(rocket.angle % (2 * Math.PI)) < 0.35 || 
-                             Math.abs(rocket.angle % (2 * Math.PI) - 2 * Math.PI) < 0.35;
-    
-    // Calculate the position of the rocket's right catch point in world coordinates
-    const catchPointY = -35 + 15; // Relative to rocket center (-35 is half height, +15 is catch point offset)
-    const catchPointX = 7 + 2;   // Half width (7 = 14/2) + catch point offset
-    
-    // Transform the catch point position based on rocket's position and angle
-    const rotatedX = Math.cos(rocket.angle) * catchPointX - Math.sin(rocket.angle) * catchPointY;
-    const rotatedY = Math.sin(rocket.angle) * catchPointX + Math.cos(rocket.angle) * catchPointY;
-    
-    const worldCatchPointX = rocket.position.x + rotatedX;
-    const worldCatchPointY = rocket.position.y + rotatedY;
-    
-    // Check distance to the right catch arm
-    const horizontalDistance = Math.abs(worldCatchPointX - rightCatchArm.position.x);
-    const verticalDistance = Math.abs(worldCatchPointY - rightCatchArm.position.y);
-    
-    // More forgiving alignment tolerance based on catch arm width
-    // Horizontal tolerance is half the catch arm width
-    const horizontalTolerance = rightCatchArm.bounds.max.x - rightCatchArm.bounds.min.x;
-    const isAligned = horizontalDistance < (horizontalTolerance / 2) && verticalDistance < 12;
-    
-    // Check if the rocket is properly positioned - slow velocity, upright, and aligned
-    const isWellPositioned = landingVelocity < 3 && isUprightLanding && isAligned;
-    
-    if (isWellPositioned) {
-        // Perfect mechazilla alignment - mission successful!
-        score += 2000;
-        gameOverMessage = 'Perfect Mechazilla Catch!';
-        
-        // Add velocity bonus for successful landings
-        if (landingVelocity < 1.2) {
-            score += 300;
-        } else if (landingVelocity < 1.8) {
-            score += 150;
-        }
-        
-        // Add fuel bonus
-        score += Math.round(fuel) * 2;
-        
-        // Attach the rocket to the catch arm
-        attachRocketToCatchArm();
-        
-        endGame();
+// Show the fuel left, how long it lasts at the current throttle, the thrust-to-weight ratio and the RCS gas left
+// The fuel readout flashes once the low fuel warning has gone off
+function updateFuelDisplay(shownSim) {
+    const status = FalconCore.getFuelStatus(shownSim);
+    fuelDisplay.textContent = `Fuel: ${Math.ceil(status.percent)}%${status.lowFuel ? ' LOW FUEL' : ''}`;
+    fuelDisplay.classList.toggle('low-fuel', status.lowFuel);
+    burnTimeDisplay.textContent = Number.isFinite(status.burnTime)
+        ? `Burn time: ${status.burnTime.toFixed(1)}s`
+        : `Burn time: ${status.fullThrottleBurnTime.toFixed(1)}s at full`;
+    twrDisplay.textContent = `TWR: ${status.twr.toFixed(2)} (max ${status.maxTwr.toFixed(2)})`;
+    rcsDisplay.textContent = `RCS gas: ${Math.ceil(shownSim.rcsGas / FalconCore.RCS_GAS * 100)}%`;
+    rcsDisplay.style.color = shownSim.rcsGas <= 0 ? '#ff3300' : '';
+}
+
+// Show the wind speed and direction, and warn about gusts and turbulence
+function updateWindDisplay(wind) {
+    const speed = Math.abs(wind.speed);
+    if (speed < 0.05) {
+        windDisplay.textContent = 'Wind: calm';
     } else {
-        // Different failure messages based on what went wrong
-        if (!isUprightLanding) {
-            gameOverMessage = 'Landing Failed: Not Upright!';
-        } else if (landingVelocity >= 3) {
-            gameOverMessage = 'Landing Failed: Too Fast!';
-        } else if (!isAligned) {
-            gameOverMessage = 'Landing Failed: Not Aligned!';
-        }
-        endGame();
+        const direction = wind.speed > 0 ? '→' : '←';
+        windDisplay.textContent = `Wind: ${speed.toFixed(2)} m/s ${direction}`;
+    }
+
+    const warnings = [];
+    if (Math.abs(wind.gust) > 0.2) warnings.push('gusting');
+    if (wind.turbulence > 0.3 && wind.maxTurbulence > 0.2) warnings.push('turbulence');
+    if (warnings.length > 0) {
+        windDisplay.textContent += ` (${warnings.join(', ')})`;
     }
+    windDisplay.style.color = warnings.length > 0 ? '#ffcc00' : '';
 }
 
-// Check if the rocket is properly aligned with the catch arm
-function checkForAlignmentLanding() {
-    // If no rocket or tower, or game not active, exit early
-    if (!rocket || !rightCatchArm || !gameActive) return;
-    
-    // Calculate rocket's velocity
-    const landingVelocity = Math.sqrt(
-        rocket.velocity.x * rocket.velocity.x + 
-        rocket.velocity.y * rocket.velocity.y
-    );
-    
-    // Check if rocket is upright
-    const isUprightLanding = Math.abs(rocket.angle % (2 * Math.PI)) < 0.35 || 
-                             Math.abs(rocket.angle % (2 * Math.PI) - 2 * Math.PI) < 0.35;
-    
-    // Calculate the position of the rocket's right catch point in world coordinates
-    const catchPointY = -35 + 15; // Relative to rocket center (-35 is half height, +15 is catch point offset)
-    const catchPointX = 7 + 2;   // Half width (7 = 14/2) + catch point offset
-    
-    // Transform the catch point position based on rocket's position and angle
-    const rotatedX = Math.cos(rocket.angle) * catchPointX - Math.sin(rocket.angle) * catchPointY;
-    const rotatedY = Math.sin(rocket.angle) * catchPointX + Math.cos(rocket.angle) * catchPointY;
-    
-    const worldCatchPointX = rocket.position.x + rotatedX;
-    const worldCatchPointY = rocket.position.y + rotatedY;
-    
-    // Check distance to the right catch arm
-    const horizontalDistance = Math.abs(worldCatchPointX - rightCatchArm.position.x);
-    const verticalDistance = Math.abs(worldCatchPointY - rightCatchArm.position.y);
-    
-    // More forgiving alignment tolerance based on catch arm width
-    // Horizontal tolerance is half the catch arm width
-    const horizontalTolerance = rightCatchArm.bounds.max.x - rightCatchArm.bounds.min.x;
-    const isAligned = horizontalDistance < (horizontalTolerance / 2) && verticalDistance < 12;
-    
-    // Check if the rocket is properly positioned - slow velocity, upright, and aligned
-    const isWellPositioned = landingVelocity < 3 && isUprightLanding && isAligned;
-    
-    // Update debug display with alignment variables
-    const rocketAngleDegrees = (rocket.angle * 180 / Math.PI) % 360;
-    debugDisplayElement.innerHTML = `
-        <strong>DEBUG ALIGNMENT:</strong><br>
-        Angle: ${rocketAngleDegrees.toFixed(2)}° ${isUprightLanding ? '✓' : '✗'}<br>
-        Horiz Dist: ${horizontalDistance.toFixed(2)}px (max ${(horizontalTolerance/2).toFixed(2)}) ${horizontalDistance < (horizontalTolerance/2) ? '✓' : '✗'}<br>
-        Vert Dist: ${verticalDistance.toFixed(2)}px (max 12) ${verticalDistance < 12 ? '✓' : '✗'}<br>
-        Velocity: ${landingVelocity.toFixed(2)} (max 3) ${landingVelocity < 3 ? '✓' : '✗'}<br>
-        Catch Point: (${worldCatchPointX.toFixed(0)}, ${worldCatchPointY.toFixed(0)})<br>
-        Catch Arm: (${rightCatchArm.position.x.toFixed(0)}, ${rightCatchArm.position.y.toFixed(0)})<br>
-        Well Positioned: ${isWellPositioned ? 'YES ✓ (Press SPACE to land!)' : 'NO ✗'}<br>
-    `;
-    
+// Debug lines for one side's catch point and arm
+function formatSideAlignment(name, side, alignment) {
+    return [
+        `${name} Horiz Dist: ${side.horizontalDistance.toFixed(2)}px (max ${alignment.horizontalTolerance.toFixed(2)}) ${side.horizontalDistance < alignment.horizontalTolerance ? '✓' : '✗'}`,
+        `${name} Vert Dist: ${side.verticalDistance.toFixed(2)}px (max ${alignment.verticalTolerance}) ${side.verticalDistance < alignment.verticalTolerance ? '✓' : '✗'}`,
+        `${name} Point: (${side.catchPoint.x.toFixed(0)}, ${side.catchPoint.y.toFixed(0)}) Arm: (${side.catchArm.x.toFixed(0)}, ${side.catchArm.y.toFixed(0)})`
+    ];
+}
+
+// Show how well the rocket is lined up with the catch arms
+function updateAlignmentDisplay(alignment, alignmentDuration, arms) {
+    // Update debug display with alignment variables (only while the inspector shows it)
+    if (isInspectorLayerShown('readout')) {
+        const rocketAngleDegrees = (alignment.angle * 180 / Math.PI) % 360;
+        const lines = [
+            `Angle: ${rocketAngleDegrees.toFixed(2)}° (max tilt ${(alignment.maxTilt * 180 / Math.PI).toFixed(0)}°) ${alignment.isUpright ? '✓' : '✗'}`,
+            `Velocity: ${alignment.landingVelocity.toFixed(2)} (max ${alignment.maxVelocity}) ${alignment.landingVelocity < alignment.maxVelocity ? '✓' : '✗'}`
+        ];
+        if (alignment.pad) {
+            lines.push(`Deck Offset: ${alignment.pad.offset.toFixed(2)}px (max ${alignment.pad.tolerance.toFixed(2)}) ${alignment.pad.isAligned ? '✓' : '✗'}`);
+        } else {
+            lines.push(...formatSideAlignment('Left', alignment.left, alignment), ...formatSideAlignment('Right', alignment.right, alignment));
+        }
+        lines.push(
+            `Well Positioned: ${alignment.isWellPositioned ? 'YES ✓ (Press SPACE to land!)' : 'NO ✗'}`,
+            `Held: ${Math.min(alignmentDuration, REQUIRED_ALIGNMENT_DURATION)}/${REQUIRED_ALIGNMENT_DURATION} steps ${alignmentDuration >= REQUIRED_ALIGNMENT_DURATION ? '✓' : ''}`,
+            `Arms: height ${arms.y.toFixed(0)} (going to ${arms.targetY.toFixed(0)}), closed ${Math.round(arms.closure * 100)}% (${arms.closeSteps}/${FalconCore.ARM_CLOSE_STEPS} steps)`
+        );
+        debugLinesElement.textContent = lines.join('\n');
+    }
+
     // Update alignment status display
-    if (!isUprightLanding) {
+    if (arms.closing) {
+        alignmentStatusDisplay.textContent = 'Status: Arms closing - hold steady!';
+        alignmentStatusDisplay.style.color = '#ffcc00';
+    } else if (!alignment.isUpright) {
         alignmentStatusDisplay.textContent = 'Status: Not upright (Need to be vertical)';
         alignmentStatusDisplay.style.color = '#ff3300';
-        // Reset catch arm color
-        rightCatchArm.render.strokeStyle = difficultyLevel === 1 ? '#ff3300' : 
-                                         difficultyLevel === 2 ? '#ff6600' : 
-                                         difficultyLevel === 3 ? '#ff9900' : 
-                                         difficultyLevel === 4 ? '#ffcc00' : '#ffff00';
-    } else if (landingVelocity >= 3) {
+    } else if (alignment.landingVelocity >= alignment.maxVelocity) {
         alignmentStatusDisplay.textContent = 'Status: Too fast (Slow down)';
         alignmentStatusDisplay.style.color = '#ff3300';
-        // Reset catch arm color
-        rightCatchArm.render.strokeStyle = difficultyLevel === 1 ? '#ff3300' : 
-                                         difficultyLevel === 2 ? '#ff6600' : 
-                                         difficultyLevel === 3 ? '#ff9900' : 
-                                         difficultyLevel === 4 ? '#ffcc00' : '#ffff00';
-    } else if (!isAligned) {
-        alignmentStatusDisplay.textContent = 'Status: Not aligned with catch arm';
+    } else if (alignment.pad) {
+        alignmentStatusDisplay.textContent = alignment.isAligned ? '✨ TOUCH DOWN GENTLY ON THE DECK! ✨' : 'Status: Not over the deck';
+        alignmentStatusDisplay.style.color = alignment.isAligned ? '#00ff00' : '#ff3300';
+    } else if (!alignment.isAligned) {
+        const leftStatus = alignment.left.isAligned ? '✓' : '✗';
+        const rightStatus = alignment.right.isAligned ? '✓' : '✗';
+        alignmentStatusDisplay.textContent = `Status: Not aligned (left arm ${leftStatus}, right arm ${rightStatus})`;
         alignmentStatusDisplay.style.color = '#ff3300';
-        // Reset catch arm color
-        rightCatchArm.render.strokeStyle = difficultyLevel === 1 ? '#ff3300' : 
-                                         difficultyLevel === 2 ? '#ff6600' : 
-                                         difficultyLevel === 3 ? '#ff9900' : 
-                                         difficultyLevel === 4 ? '#ffcc00' : '#ffff00';
     } else {
-        alignmentStatusDisplay.textContent = '✨ PRESS SPACE TO ATTEMPT LANDING! ✨';
+        alignmentStatusDisplay.textContent = arms.operator ? '✨ HOLD STEADY FOR THE CATCH! ✨' : '✨ PRESS SPACE TO CLOSE THE ARMS! ✨';
         alignmentStatusDisplay.style.color = '#00ff00';
-        // Show solid green when ready to land
-        rightCatchArm.render.strokeStyle = '#00ff00';
-    }
-}
-
-// Set up collision detection - only for tower and ground now
-function setupCollisionDetection() {
-    Events.on(engine, 'collisionStart', (event) => {
-        const pairs = event.pairs;
-        
-        for (let i = 0; i < pairs.length; i++) {
-            const pair = pairs[i];
-            
-            // Check if rocket has collided with tower or ground
-            if ((pair.bodyA === rocket || pair.bodyB === rocket)) {
-                const otherBody = pair.bodyA === rocket ? pair.bodyB : pair.bodyA;
-                
-                // Calculate landing conditions
-                const landingVelocity = Math.sqrt(
-                    rocket.velocity.x * rocket.velocity.x + 
-                    rocket.velocity.y * rocket.velocity.y
-                );
-                
-                // Check if rocket is upright
-                const isUprightLanding = Math.abs(rocket.angle % (2 * Math.PI)) < 0.35 || 
-                                         Math.abs(rocket.angle % (2 * Math.PI) - 2 * Math.PI) < 0.35;
-                
-                // Check if tower was hit
-                const hitTower = (otherBody === centerChopstick);
-                
-                // Determine landing success or failure
-                if (landingVelocity < 2.5 && isUprightLanding && hitTower) {
-                    // Contacting the tower directly is no longer considered successful
-                    gameOverMessage = 'Almost! Missed the catch arm.';
-                    
-                    // Give some points for effort
-                    score += 300;
-                    
-                    // No attachment - let the rocket fall
-                } else {
-                    // Different crash messages based on what went wrong
-                    if (landingVelocity >= 2.5) {
-                        gameOverMessage = 'Rocket Crashed: Too Fast!';
-                    } else if (!isUprightLanding) {
-                        gameOverMessage = 'Rocket Crashed: Not Upright!';
-                    } else {
-                        gameOverMessage = 'Crash: Missed Target!';
-                    }
-                }
-                
-                endGame();
-                break; // Exit loop after handling collision
-            }
+    }
+}
+
+// Colour each catch arm: green when ready to land or after a catch, blue while its own
+// catch point is lined up with it, otherwise the difficulty colour
+function updateCatchArmAppearance(shownSim) {
+    [[shownSim.leftCatchArm, shownSim.rocketCatchConstraint2, 'left'],
+     [shownSim.rightCatchArm, shownSim.rocketCatchConstraint, 'right']].forEach(([catchArm, constraint, side]) => {
+        const alignment = shownSim.active ? shownSim.alignment : null;
+        if (constraint) {
+            // Change catch arm color to indicate successful catch
+            catchArm.render.strokeStyle = '#00ff00';
+            catchArm.render.lineWidth = 3;
+        } else if (alignment && alignment.isWellPositioned) {
+            // Show solid green when ready to land
+            catchArm.render.strokeStyle = '#00ff00';
+            catchArm.render.lineWidth = 2;
+        } else if (alignment && alignment[side].isAligned) {
+            catchArm.render.strokeStyle = '#00ccff';
+            catchArm.render.lineWidth = 2;
+        } else {
+            catchArm.render.strokeStyle = getDifficultyColor(shownSim.flightDifficulty);
+            catchArm.render.lineWidth = 2;
         }
     });
 }
 
 // End the game
-function endGame() {
-    gameActive = false;
-    scoreDisplay.textContent = `Score: ${score}`;
-    
+function endGame(result) {
+    scoreDisplay.textContent = `Score: ${result.totalScore}`;
+
     // Create score breakdown with HTML line breaks
     let scoreBreakdown = '';
-    if (gameOverMessage.includes('Perfect Mechazilla Catch')) {
-        const landingVelocity = Math.sqrt(rocket.velocity.x * rocket.velocity.x + rocket.velocity.y * rocket.velocity.y);
-        const fuelEfficiencyBonus = Math.round((fuel / INITIAL_FUEL) * 1000); // Calculate bonus based on fuel efficiency
-        score = 1000; // Base score for landing
-        scoreBreakdown = `<br><br>Score Breakdown:<br>---------------<br>Base Landing: 1000<br>`;
-        if (landingVelocity < 1.2) {
-            score += 300;
-            scoreBreakdown += `Perfect Landing Speed: +300<br>`;
-        } else if (landingVelocity < 1.8) {
-            score += 150;
-            scoreBreakdown += `Good Landing Speed: +150<br>`;
-        }
-        score += fuelEfficiencyBonus;
-        scoreBreakdown += `Fuel Efficiency Bonus: +${fuelEfficiencyBonus}<br>---------------<br>`;
-        totalScore += score; // Add current score to total
-        scoreBreakdown += `Level Score: ${score}<br>Total Score: ${totalScore}`;
-    } else if (gameOverMessage.includes('Almost! Missed the catch arm')) {
-        totalScore += score; // Add current score to total
-        scoreBreakdown = `<br><br>Score Breakdown:<br>---------------<br>Tower Contact Bonus: 300<br>---------------<br>Level Score: ${score}<br>Total Score: ${totalScore}`;
+    if (result.breakdown.length > 0) {
+        scoreBreakdown = `<br><br>Score Breakdown:<br>---------------<br>`;
+        result.breakdown.forEach((item, index) => {
+            scoreBreakdown += `${item.label}: ${index > 0 && item.points >= 0 ? '+' : ''}${item.points}<br>`;
+        });
+        scoreBreakdown += `---------------<br>Level Score: ${result.levelScore}<br>Total Score: ${result.totalScore}`;
     } else {
-        scoreBreakdown = `<br><br>Level Score: ${score}<br>Total Score: ${totalScore}`;
+        scoreBreakdown = `<br><br>Level Score: ${result.levelScore}<br>Total Score: ${result.totalScore}`;
     }
-    
-    gameOverMessageElement.innerHTML = `${gameOverMessage}${scoreBreakdown}`;
-    finalScoreElement.textContent = totalScore; // Show total score instead of current score
+
+    gameOverMessageElement.innerHTML = `${result.message}${scoreBreakdown}`;
+    if (result.difficultyIncreased) {
+        gameOverMessageElement.innerHTML += `<br><br>Difficulty increased to level ${result.difficultyLevel}!`;
+    }
+    if (result.par !== null) {
+        gameOverMessageElement.innerHTML += `<br><br>Par: ${result.par} - ${result.parBeaten ? 'beaten!' : 'not beaten'}`;
+    }
+    const campaignLines = recordCampaignFlight(result);
+    if (campaignLines.length > 0) {
+        gameOverMessageElement.innerHTML += `<br><br>${campaignLines.join('<br>')}`;
+    }
+    const ghostLines = recordGhostFlight(result);
+    if (ghostLines.length > 0) {
+        gameOverMessageElement.innerHTML += `<br><br>${ghostLines.join('<br>')}`;
+    }
+    finalScoreElement.textContent = result.totalScore; // Show total score instead of current score
     gameOverElement.classList.remove('hidden');
-    
+
+    // A flight can end while frame stepping; the game over screen takes over from the pause
+    resumeGame();
+
+    // Keep the flight in the history, and offer a place on the leaderboard
+    recordFlight(result, sim);
+
+    // Keep the flight's telemetry for downloading (straight away if that's switched on)
+    finishTelemetry(sim);
+
     // Move debug display to the bottom left when game is over
     if (debugDisplayElement) {
         debugDisplayElement.style.top = 'auto';
         debugDisplayElement.style.bottom = '10px';
     }
-    
-    // Check if this was a successful landing
-    if (gameOverMessage.includes('Perfect Mechazilla Catch')) {
-        successfulLandings++;
-        
-        // Increase difficulty after each successful landing
-        if (difficultyLevel < 5) {
-            difficultyLevel++;
-            gameOverMessageElement.innerHTML = `${gameOverMessage}${scoreBreakdown}<br><br>Difficulty increased to level ${difficultyLevel}!`;
-        }
 
+    // Check if this was a successful landing
+    if (result.success) {
         // Update the restart hint to be more celebratory
         document.querySelector('.restart-hint').textContent = '🎉 Press SPACE for next round! 🎉';
         restartButton.textContent = 'Next Round';
@@ -635,7 +735,10 @@ function endGame() {
         document.querySelector('.restart-hint').textContent = 'or press SPACE to restart';
         restartButton.textContent = 'Restart';
     }
-    
+
+    // Offer the player's chosen seed for the next round (blank means random)
+    seedInput.value = pinnedSeed || '';
+
     // Add focus to the restart button for keyboard accessibility
     restartButton.focus();
 }
@@ -647,116 +750,41 @@ function resetGame() {
         cancelAnimationFrame(animationFrameId);
         animationFrameId = null;
     }
-    
-    // Reset the physics environment
-    if (rocketCatchConstraint) {
-        Composite.remove(engine.world, rocketCatchConstraint);
-        rocketCatchConstraint = null;
-    }
-    if (rocketCatchConstraint2) {
-        Composite.remove(engine.world, rocketCatchConstraint2);
-        rocketCatchConstraint2 = null;
-    }
-    
-    // Reset engine gravity to normal
-    engine.gravity.y = GRAVITY;
-    
-    // Reset visual appearance of tower and catch arm
-    centerChopstick.render.fillStyle = '#666666';
-    if (rightCatchArm) {
-        rightCatchArm.render.strokeStyle = difficultyLevel === 1 ? '#ff3300' : 
-                           difficultyLevel === 2 ? '#ff6600' : 
-                           difficultyLevel === 3 ? '#ff9900' : 
-                           difficultyLevel === 4 ? '#ffcc00' : '#ffff00';
-        rightCatchArm.render.lineWidth = 2;
-    }
-    
-    // Reset throttle level
-    throttleLevel = 0;
-    
-    // Calculate randomness based on difficulty level
-    const difficultyFactor = 1 + (difficultyLevel - 1) * 0.2; // Each level increases randomness by 20%
-    
-    // Generate random starting conditions with increasing difficulty
-    let randomX;
-    // Calculate distance from catch arm based on difficulty
-    // Difficulty 1: Start between 60% and 70% of canvas width (close to catch arm)
-    // Difficulty 2-3: Start between 20% and 30% of canvas width (far from catch arm)
-    // Difficulty 4-5: Start between 20% and 30% of canvas width on the left side
-    const maxDistance = 0.40; // Maximum distance from center
-    const minDistance = 0.20; // Minimum distance from center
-    const distanceRange = 0.10; // Range of random variation
-    
-    // Linear interpolation between max and min distance based on difficulty
-    const baseDistance = minDistance + ((Math.min(difficultyLevel, 3) - 1) / 2) * (maxDistance - minDistance);
-    
-    // For difficulty levels 4 and 5, start from the left side
-    if (difficultyLevel >= 4) {
-        randomX = CANVAS_WIDTH * (0.5 - (baseDistance + Math.random() * distanceRange));
-    } else {
-        randomX = CANVAS_WIDTH * (0.5 + (baseDistance + Math.random() * distanceRange));
-    }
-    
-    const randomY = 50 + Math.random() * 50
-    const randomAngle = (Math.random() - 0.5) * (0.2 * difficultyFactor); // Larger initial tilt with difficulty
-    
-    // Random initial velocity with much more variance
-    const speedVariance = 3.5 * difficultyFactor; // Increased from 2 to 3.5 for more variance
-    const randomVelocityX = (Math.random() - 0.5) * speedVariance; // More extreme horizontal velocity
-    
-    // Random Y velocity can now be both positive and negative (sometimes rocket moving up)
-    const randomVelocityY = difficultyFactor + (Math.random() * 2 - 0.8) * difficultyFactor; // More variable vertical speed
-    
-    // Sometimes add a sudden "burst" of velocity for extra challenge
-    if (difficultyLevel > 1 && Math.random() < 0.3) {
-        // 30% chance of a burst in a random direction
-        const burstAngle = Math.random() * Math.PI * 2; // Random direction
-        const burstMagnitude = 1 + Math.random() * difficultyFactor; // Random strength
-        
-        // Add the burst component to initial velocity
-        randomVelocityX += Math.cos(burstAngle) * burstMagnitude;
-        randomVelocityY += Math.sin(burstAngle) * burstMagnitude;
-    }
-    
-    // Reset position and physics with increased randomness
-    Body.setPosition(rocket, { x: randomX, y: randomY });
-    Body.setVelocity(rocket, { x: randomVelocityX, y: randomVelocityY });
-    Body.setAngle(rocket, randomAngle);
-    Body.setAngularVelocity(rocket, (Math.random() - 0.5) * (0.04 * difficultyFactor)); // Doubled angular velocity randomness
-    
-    // Reset moment of inertia
-    Body.setInertia(rocket, rocket.inertia);
-    
-    // Reset game variables
-    fuel = INITIAL_FUEL;
-    score = 0;
-    gameActive = true;
-    alignmentDuration = 0; // Reset alignment duration
-    
-    // Update catch arm width based on new difficulty
-    updateCatchArmWidth();
-    
+
+    // Start a new flight from seeded starting conditions
+    sim.startRound(pinnedSeed);
+    flightPilotMode = 'manual';
+    startGhost();
+    landRequested = false;
+    resetTouchControls();
+
     // Update UI
-    fuelDisplay.textContent = `Fuel: ${fuel}%`;
-    velocityDisplay.textContent = `Velocity: 0.00 m/s`;
-    thrustDisplay.textContent = `Thrust: 0%`;
-    scoreDisplay.textContent = `Score: 0`;
-    document.getElementById('difficulty').textContent = `Difficulty: ${difficultyLevel}`;
-    alignmentStatusDisplay.textContent = 'Status: Not aligned';
-    alignmentStatusDisplay.style.color = '#ff3300';
+    resetFlightDisplay(sim);
     gameOverElement.classList.add('hidden');
-    
+
     // Clear debug display
     if (debugDisplayElement) {
-        debugDisplayElement.innerHTML = '<strong>DEBUG ALIGNMENT:</strong><br>Waiting for alignment attempt...';
+        debugLinesElement.textContent = 'Waiting for alignment attempt...';
         debugDisplayElement.style.top = '120px';
         debugDisplayElement.style.bottom = 'auto';
     }
+}
 
-    // Only reset total score when starting from level 1
-    if (difficultyLevel === 1) {
-        totalScore = 0;
-    }
+// Reset the HUD for a new flight
+function resetFlightDisplay(shownSim) {
+    updateFuelDisplay(shownSim);
+    velocityDisplay.textContent = `Velocity: 0.00 m/s`;
+    altitudeDisplay.textContent = `Altitude: ${Math.round(FalconCore.getDescentStatus(shownSim).altitude)} m`;
+    updatePhaseDisplay(shownSim);
+    thrustDisplay.textContent = `Thrust: 0%`;
+    thrustDisplay.style.color = '';
+    updateWindDisplay(shownSim.wind);
+    updateArmsDisplay(shownSim.arms);
+    scoreDisplay.textContent = `Score: ${shownSim.totalScore}`;
+    document.getElementById('difficulty').textContent = `Difficulty: ${shownSim.difficultyLevel}`;
+    seedDisplay.textContent = `Seed: ${shownSim.seed}`;
+    alignmentStatusDisplay.textContent = 'Status: Not aligned';
+    alignmentStatusDisplay.style.color = '#ff3300';
 }
 
 // Restart the game
@@ -764,34 +792,179 @@ restartButton.addEventListener('click', () => {
     const currentTime = Date.now();
     if (currentTime - lastLandingTime > 100) {
         lastLandingTime = currentTime;
+        applySeedInput();
         resetGame();
         animationFrameId = requestAnimationFrame(gameLoop);
     }
 });
 
+// Use the seed typed into the game over screen for the next round
+function applySeedInput() {
+    pinnedSeed = normalizeSeed(seedInput.value);
+}
+
+// Pressing Enter in the seed field starts the round
+seedInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        restartButton.click();
+    }
+});
+
+// Fill in the daily challenge seed
+dailySeedButton.addEventListener('click', () => {
+    seedInput.value = getDailySeed();
+});
+
+// Build a link that starts someone else on exactly this round
+function getChallengeLink() {
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.searchParams.set('seed', sim.seed);
+    url.searchParams.set('difficulty', sim.flightDifficulty);
+    if (missionSourceUrl) {
+        url.searchParams.set('mission', missionSourceUrl);
+    }
+    return url.toString();
+}
+
+// Copy the challenge link to the clipboard
+shareButton.addEventListener('click', () => {
+    const link = getChallengeLink();
+    const showLink = () => window.prompt('Challenge link:', link);
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(link).then(() => {
+            shareButton.textContent = 'Link Copied!';
+            setTimeout(() => { shareButton.textContent = 'Share Challenge'; }, 1500);
+        }, showLink);
+    } else {
+        showLink();
+    }
+});
+
+// Read a challenge from the URL, e.g. ?seed=abc123&difficulty=4 (seed=daily for the daily challenge)
+function loadChallengeFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    pinnedSeed = normalizeSeed(params.get('seed'));
+
+    const requestedDifficulty = parseInt(params.get('difficulty'), 10);
+    if (requestedDifficulty >= 1 && requestedDifficulty <= FalconCore.MAX_DIFFICULTY) {
+        startingDifficulty = requestedDifficulty;
+    }
+}
+
 // Start the game
 window.addEventListener('load', () => {
+    loadChallengeFromUrl();
     init();
+    loadMissionFromUrl();
     animationFrameId = requestAnimationFrame(gameLoop);
 });
 
-// Draw the rocket with visible catch points
-function drawRocketWithCatchPoints() {
+// Draw a windsock on top of the tower, streaming out further the stronger the wind
+function drawWindsock(shownSim) {
+    if (!shownSim.wind || shownSim.pad) return;
+
     const ctx = canvas.getContext('2d');
-    const rocketPos = rocket.position;
-    const rocketAngle = rocket.angle;
-    
+    const poleX = shownSim.layout.x;
+    const poleBottom = shownSim.layout.top;
+    const poleTop = poleBottom - 40;
+
+    // Hangs straight down in calm air, flies level at 2 m/s or more
+    const strength = Math.min(1, Math.abs(shownSim.wind.speed) / 2);
+    const droop = (1 - strength) * Math.PI / 2 * 0.9;
+    const direction = shownSim.wind.speed >= 0 ? 1 : -1;
+
+    ctx.save();
+
+    // Pole
+    ctx.strokeStyle = '#aaaaaa';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(poleX, poleBottom);
+    ctx.lineTo(poleX, poleTop);
+    ctx.stroke();
+
+    // Sock, in alternating orange and white bands that narrow towards the tail
+    ctx.translate(poleX, poleTop);
+    ctx.scale(direction, 1);
+    ctx.rotate(droop);
+    const bandLength = 8;
+    for (let band = 0; band < 4; band++) {
+        const start = band * bandLength;
+        const startHalfWidth = 5 - band;
+        const endHalfWidth = 4 - band;
+        ctx.fillStyle = band % 2 === 0 ? '#ff6600' : '#ffffff';
+        ctx.beginPath();
+        ctx.moveTo(start, -startHalfWidth);
+        ctx.lineTo(start + bandLength, -endHalfWidth);
+        ctx.lineTo(start + bandLength, endHalfWidth);
+        ctx.lineTo(start, startHalfWidth);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    ctx.restore();
+}
+
+// Announce each flight phase as it starts, fading out after a couple of seconds, and warn
+// while the drag is getting close to breaking the rocket up (drawn in screen coordinates)
+function drawPhaseCallout(shownSim) {
+    if (!shownSim.active || editorState) return;
+
+    const ctx = canvas.getContext('2d');
+    const age = shownSim.stepCount - shownSim.phaseStartStep;
+    const descent = FalconCore.getDescentStatus(shownSim);
+
+    ctx.save();
+    ctx.textAlign = 'center';
+    if (age < PHASE_CALLOUT_STEPS) {
+        const callout = PHASE_CALLOUTS[shownSim.phase];
+        ctx.globalAlpha = Math.min(1, (PHASE_CALLOUT_STEPS - age) / 30);
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 24px Arial';
+        ctx.fillText(callout.name.toUpperCase(), CANVAS_WIDTH / 2, 60);
+        ctx.font = '14px Arial';
+        ctx.fillText(callout.hint, CANVAS_WIDTH / 2, 82);
+    }
+    if (descent.load >= descent.maxLoad * MAX_Q_WARNING && Math.floor(performance.now() / 250) % 2 === 0) {
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = '#ff3300';
+        ctx.font = 'bold 20px Arial';
+        ctx.fillText('MAX-Q WARNING', CANVAS_WIDTH / 2, 110);
+    }
+    ctx.restore();
+}
+
+// Draw the sea around a drone ship, over the bottom of its hull
+function drawSea(shownSim) {
+    if (!shownSim.pad) return;
+
+    const ctx = canvas.getContext('2d');
+    const seaLevel = FalconCore.PAD_Y + FalconCore.DRONE_SHIP_HEIGHT / 4;
+    const bounds = renderer.bounds; // Right across the view, which can be wider than the world when zoomed out
+    ctx.save();
+    ctx.fillStyle = 'rgba(20, 70, 140, 0.85)';
+    ctx.fillRect(bounds.min.x, seaLevel, bounds.max.x - bounds.min.x, CANVAS_HEIGHT - seaLevel);
+    ctx.restore();
+}
+
+// Draw the rocket with visible catch points at the given pose
+function drawRocketWithCatchPoints(pose) {
+    const ctx = canvas.getContext('2d');
+    const rocketPos = pose;
+    const rocketAngle = pose.angle;
+
     // Get rocket dimensions
-    const rocketWidth = 14;
-    const rocketHeight = 70;
-    
+    const rocketWidth = FalconCore.ROCKET_WIDTH;
+    const rocketHeight = FalconCore.ROCKET_HEIGHT;
+
     // Save context for transformations
     ctx.save();
-    
+
     // Move to rocket position and rotate
     ctx.translate(rocketPos.x, rocketPos.y);
     ctx.rotate(rocketAngle);
-    
+
     // Draw main rocket body
     ctx.fillStyle = '#e0e0e0';
     ctx.strokeStyle = '#aaaaaa';
@@ -800,7 +973,7 @@ function drawRocketWithCatchPoints() {
     ctx.rect(-rocketWidth/2, -rocketHeight/2, rocketWidth, rocketHeight);
     ctx.fill();
     ctx.stroke();
-    
+
     // Draw rocket fins (smaller and less prominent)
     ctx.fillStyle = '#cccccc';
     ctx.beginPath();
@@ -810,7 +983,7 @@ function drawRocketWithCatchPoints() {
     ctx.closePath();
     ctx.fill();
     ctx.stroke();
-    
+
     ctx.beginPath();
     ctx.moveTo(rocketWidth/2, rocketHeight/2 - 10); // Reduced height by starting 10px from bottom instead of 15px
     ctx.lineTo(rocketWidth/2 + 5, rocketHeight/2); // Reduced protrusion from 8px to 5px
@@ -818,194 +991,28 @@ function drawRocketWithCatchPoints() {
     ctx.closePath();
     ctx.fill();
     ctx.stroke();
-    
+
     // Draw catch points (highlighted in red)
-    const catchPointsY = -rocketHeight/2 + 15; // Position the catch points closer to the top
-    
+    const catchPointsY = FalconCore.CATCH_POINT_OFFSET_Y; // Position the catch points closer to the top
+
     // Left catch point
     ctx.fillStyle = '#ff3300';
     ctx.beginPath();
-    ctx.arc(-rocketWidth/2 - 2, catchPointsY, 3, 0, Math.PI * 2);
+    ctx.arc(-FalconCore.CATCH_POINT_OFFSET_X, catchPointsY, 3, 0, Math.PI * 2);
     ctx.fill();
-    
+
     // Right catch point
     ctx.beginPath();
-    ctx.arc(rocketWidth/2 + 2, catchPointsY, 3, 0, Math.PI * 2);
+    ctx.arc(FalconCore.CATCH_POINT_OFFSET_X, catchPointsY, 3, 0, Math.PI * 2);
     ctx.fill();
-    
+
     ctx.restore();
 }
 
-// Calculate the catch arm width based on difficulty level
-function calculateCatchArmWidth() {
-    // Decrease width as difficulty increases
-    // Difficulty 1: 100% of base width
-    // Difficulty 5: 40% of base width
-    const scaleFactor = 1 - ((difficultyLevel - 1) * 0.15);
-    return Math.max(20, Math.round(BASE_CATCH_ARM_WIDTH * scaleFactor));
-}
-
-// Update the catch arm width based on difficulty level
-function updateCatchArmWidth() {
-    // Remove the old catch arm
-    Composite.remove(engine.world, rightCatchArm);
-    
-    // Calculate new catch arm width
-    const newCatchArmWidth = calculateCatchArmWidth();
-    
-    // Position for the catch arms
-    const padY = CANVAS_HEIGHT - 20;
-    const chopstickHeight = 160;
-    const catchPointY = padY - chopstickHeight + 30;
-    const catchArmHeight = 8;
-    
-    // Create new catch arm with updated width
-    rightCatchArm = Bodies.rectangle(
-        CANVAS_WIDTH / 2 + newCatchArmWidth / 2 + 5, 
-        catchPointY,
-        newCatchArmWidth,
-        catchArmHeight,
-        { 
-            isStatic: true, 
-            render: { 
-                fillStyle: '#888888', 
-                strokeStyle: difficultyLevel === 1 ? '#ff3300' : 
-                             difficultyLevel === 2 ? '#ff6600' : 
-                             difficultyLevel === 3 ? '#ff9900' : 
-                             difficultyLevel === 4 ? '#ffcc00' : '#ffff00',
-                lineWidth: 2 
-            },
-            collisionFilter: {
-                group: -1,  // Negative group means it won't collide with anything
-                category: 0x0002,
-                mask: 0x0000  // Won't collide with any category
-            }
-        }
-    );
-    
-    // Add the new catch arm to the world
-    Composite.add(engine.world, rightCatchArm);
+// Outline colour of the catch arm for a difficulty level
+function getDifficultyColor(level) {
+    return level === 1 ? '#ff3300' :
+           level === 2 ? '#ff6600' :
+           level === 3 ? '#ff9900' :
+           level === 4 ? '#ffcc00' : '#ffff00';
 }
-
-// Attach the rocket to the catch arm
-function attachRocketToCatchArm() {
-    // Calculate positions for both catch points
-    const catchPointY = -35 + 15; // Relative to rocket center (-35 is half height, +15 is catch point offset)
-    
-    // Right catch point
-    const rightCatchPointX = 7 + 2;   // Half width (7 = 14/2) + catch point offset
-    const rightRotatedX = Math.cos(rocket.angle) * rightCatchPointX - Math.sin(rocket.angle) * catchPointY;
-    const rightRotatedY = Math.sin(rocket.angle) * rightCatchPointX + Math.cos(rocket.angle) * catchPointY;
-    
-    // Left catch point
-    const leftCatchPointX = -(7 + 2);   // Negative of right catch point X
-    const leftRotatedX = Math.cos(rocket.angle) * leftCatchPointX - Math.sin(rocket.angle) * catchPointY;
-    const leftRotatedY = Math.sin(rocket.angle) * leftCatchPointX + Math.cos(rocket.angle) * catchPointY;
-    
-    // Calculate world coordinates for both catch points
-    const rightWorldX = rocket.position.x + rightRotatedX;
-    const rightWorldY = rocket.position.y + rightRotatedY;
-    
-    const leftWorldX = rocket.position.x + leftRotatedX;
-    const leftWorldY = rocket.position.y + leftRotatedY;
-    
-    // Calculate the middle point between the two catch points
-    const middleWorldX = (rightWorldX + leftWorldX) / 2;
-    const middleWorldY = (rightWorldY + leftWorldY) / 2;
-    
-    // Calculate middle point in rocket's local coordinates
-    const middleLocalX = (rightCatchPointX + leftCatchPointX) / 2; // Should be 0
-    const middleLocalY = catchPointY; // Same Y as the catch points
-    
-    // Calculate rotated middle point
-    const middleRotatedX = Math.cos(rocket.angle) * middleLocalX - Math.sin(rocket.angle) * middleLocalY;
-    const middleRotatedY = Math.sin(rocket.angle) * middleLocalX + Math.cos(rocket.angle) * middleLocalY;
-    
-    // Calculate the middle point on catch arm relative to its center
-    const middleArmPointX = middleWorldX - rightCatchArm.position.x;
-    const middleArmPointY = middleWorldY - rightCatchArm.position.y;
-    
-    // Change catch arm color to indicate successful catch
-    rightCatchArm.render.strokeStyle = '#00ff00';
-    rightCatchArm.render.lineWidth = 3;
-    
-    // Create single constraint at the middle point
-    rocketCatchConstraint = Constraint.create({
-        bodyA: rocket,
-        bodyB: rightCatchArm,
-        pointA: { x: middleRotatedX, y: middleRotatedY }, // Middle point relative to rocket center
-        pointB: { x: middleArmPointX, y: middleArmPointY }, // Middle point on the arm
-        stiffness: 0.8, // Slightly less stiff to allow dangling movement
-        length: 0,
-        render: {
-            visible: true,
-            lineWidth: 2,
-            strokeStyle: '#00ff00'
-        }
-    });
-    
-    // Add the constraint to the world
-    Composite.add(engine.world, rocketCatchConstraint);
-    
-    // Set rocketCatchConstraint2 to null (we're not using it anymore)
-    rocketCatchConstraint2 = null;
-    
-    // Reduce gravity to simulate successful catch
-    engine.gravity.y = 0.05;
-    
-    // Stabilize the rocket initially
-    Body.setAngularVelocity(rocket, 0);
-    Body.setVelocity(rocket, { x: 0, y: 0 });
-    
-    // Use a lower moment of inertia to allow natural dangling
-    Body.setInertia(rocket, 5000); // Lower than before to allow more natural physics and dangling
-}
-
-// Attach the rocket to the tower
-function attachRocketToTower(otherBody) {
-    // Calculate the position for the constraint based on the rocket's catch point
-    const catchPointY = -35 + 15; // Same offset used in checkForAlignmentLanding
-    const catchPointX = 7 + 2;
-    
-    // Transform to get world coordinates
-    const rotatedX = Math.cos(rocket.angle) * catchPointX - Math.sin(rocket.angle) * catchPointY;
-    const rotatedY = Math.sin(rocket.angle) * catchPointX + Math.cos(rocket.angle) * catchPointY;
-    
-    const worldCatchPointX = rocket.position.x + rotatedX;
-    const worldCatchPointY = rocket.position.y + rotatedY;
-    
-    // Calculate point on tower relative to its center
-    const towerPointX = worldCatchPointX - otherBody.position.x;
-    const towerPointY = worldCatchPointY - otherBody.position.y;
-    
-    // Change tower color to indicate landing (but not success)
-    centerChopstick.render.fillStyle = '#dd6644'; // Orangish color to indicate "not quite right"
-    
-    // Create a constraint to join the rocket to the tower
-    rocketCatchConstraint = Constraint.create({
-        bodyA: rocket,
-        bodyB: otherBody,
-        pointA: { x: rotatedX, y: rotatedY }, // Relative to rocket center
-        pointB: { x: towerPointX, y: towerPointY }, // Exact matching point on tower
-        stiffness: 0.7, // Less stiff than the catch arm attachment
-        length: 0,
-        render: {
-            visible: true,
-            lineWidth: 1,
-            strokeStyle: '#dd6644' // Matching color
-        }
-    });
-    
-    // Add the constraint to the world
-    Composite.add(engine.world, rocketCatchConstraint);
-    
-    // Reduce gravity to simulate successful catch
-    engine.gravity.y = 0.05;
-    
-    // Stabilize the rocket
-    Body.setAngularVelocity(rocket, 0);
-    Body.setVelocity(rocket, { x: 0, y: 0 });
-    
-    // Lock the rocket's rotation for stability
-    Body.setInertia(rocket, 99999); // Very high moment of inertia to resist rotation
-}
\ No newline at end of file
@@ -0,0 +1,216 @@
+// Ghost racing
+// The best-scoring catch on each seed (or each mission) is saved with its recording, and later
+// attempts at it race a translucent ghost of that run: the recording is re-simulated step for
+// step alongside the player's flight, like a replay (see replay.js). The HUD shows how far ahead
+// or behind the player is as each checkpoint is reached. Ghosts export as replay files, and
+// loading one races it on its own starting conditions, so teammates can race each other's catches.
+
+const GHOSTS_STORAGE_KEY = 'falconGhosts';
+const MAX_GHOSTS = 20; // Runs saved; the oldest are dropped beyond this
+const GHOST_ALPHA = 0.35;
+
+// Ghost racing elements
+const ghostDisplay = document.getElementById('ghost');
+const exportGhostButton = document.getElementById('exportGhostButton');
+const loadGhostButton = document.getElementById('loadGhostButton');
+const ghostFileInput = document.getElementById('ghostFileInput');
+
+let ghosts = loadGhosts(); // Best recording for each seed or mission, by getGhostKey()
+let rivalGhost = null; // Recording loaded from a file, raced instead of the saved best on its seed or mission
+
+// The race in progress, null when the flight has no ghost
+// checkpoints: [{ name, altitude, ghostStep, passed }] in the order they're reached
+let ghostState = null;
+
+// Which runs race each other: the same mission, or outside missions the same seed and difficulty
+// Missions are told apart by a hash of everything in them, not their name, so an edited mission
+// (or another one with the same name) doesn't race a ghost flown in a different world
+function getGhostKey(seed, difficulty, mission) {
+    return mission ? `mission:${hashSeed(JSON.stringify(mission)).toString(36)}` : `${seed}:${difficulty}`;
+}
+
+function getRecordingGhostKey(recording) {
+    return getGhostKey(recording.seed, recording.start.difficulty, recording.start.mission);
+}
+
+// Read the saved ghosts, skipping any the current game can't replay
+// Each is filed under the key worked out from its recording, which moves ghosts saved under an
+// older kind of key to the current one
+function loadGhosts() {
+    const loaded = {};
+    try {
+        const saved = JSON.parse(localStorage.getItem(GHOSTS_STORAGE_KEY));
+        Object.keys(saved || {}).forEach((key) => {
+            try {
+                const recording = FalconCore.parseRecording(JSON.stringify(saved[key]));
+                const ghostKey = getRecordingGhostKey(recording);
+                if (!loaded[ghostKey] || loaded[ghostKey].score < recording.score) {
+                    loaded[ghostKey] = recording;
+                }
+            } catch (error) {
+                // Recorded by an older version of the game, drop it
+            }
+        });
+    } catch (error) {
+        // Unreadable or unavailable storage, start with no ghosts
+    }
+    return loaded;
+}
+
+// Save the ghosts, keeping the most recent MAX_GHOSTS
+function saveGhosts() {
+    const keys = Object.keys(ghosts).sort((a, b) => ghosts[b].recordedAt.localeCompare(ghosts[a].recordedAt));
+    keys.slice(MAX_GHOSTS).forEach((key) => {
+        delete ghosts[key];
+    });
+    try {
+        localStorage.setItem(GHOSTS_STORAGE_KEY, JSON.stringify(ghosts));
+    } catch (error) {
+        // Storage unavailable or full, ghosts last until the page closes
+    }
+}
+
+// Start racing the ghost for the flight that just started, if there is one
+// The ghost's whole run is simulated once up front to find when it reached each checkpoint
+function startGhost() {
+    const key = getGhostKey(sim.seed, sim.flightDifficulty, sim.flightMission);
+    const recording = rivalGhost && getRecordingGhostKey(rivalGhost) === key ? rivalGhost : ghosts[key];
+    ghostState = null;
+    if (!recording) {
+        ghostDisplay.classList.add('hidden');
+        return;
+    }
+
+    const ghostSim = FalconCore.createSimulation({ difficulty: recording.start.difficulty });
+    ghostSim.applyStartState(recording.start);
+    const checkpoints = [
+        { name: 'Entry', altitude: FalconCore.ENTRY_ALTITUDE },
+        { name: 'Landing burn', altitude: FalconCore.LANDING_ALTITUDE },
+        { name: ghostSim.pad ? 'Deck height' : 'Tower height', altitude: getLandingAltitude(ghostSim) }
+    ].filter(checkpoint => checkpoint.altitude < FalconCore.getDescentStatus(ghostSim).altitude);
+    checkpoints.forEach((checkpoint) => {
+        checkpoint.ghostStep = null;
+        checkpoint.passed = false;
+    });
+
+    recording.inputs.forEach((input) => {
+        ghostSim.step(input);
+        const altitude = FalconCore.getDescentStatus(ghostSim).altitude;
+        checkpoints.forEach((checkpoint) => {
+            if (checkpoint.ghostStep === null && altitude <= checkpoint.altitude) {
+                checkpoint.ghostStep = ghostSim.stepCount;
+            }
+        });
+    });
+    if (ghostSim.result && ghostSim.result.success) {
+        checkpoints.push({ name: 'Finish', altitude: null, ghostStep: ghostSim.stepCount, passed: false });
+    }
+
+    ghostSim.applyStartState(recording.start);
+    ghostState = {
+        sim: ghostSim,
+        recording: recording,
+        step: 0,
+        previousPose: null,
+        checkpoints: checkpoints.filter(checkpoint => checkpoint.ghostStep !== null)
+    };
+    ghostDisplay.textContent = `Ghost: ${recording === rivalGhost ? 'loaded run' : 'your best'} (${recording.score || 0})`;
+    ghostDisplay.style.color = '';
+    ghostDisplay.classList.remove('hidden');
+}
+
+// Step the ghost along with the player's flight, and time the player through the checkpoints
+function advanceGhost() {
+    if (!ghostState) return;
+
+    const inputs = ghostState.recording.inputs;
+    ghostState.previousPose = getRocketPose(ghostState.sim);
+    ghostState.sim.step(ghostState.step < inputs.length ? inputs[ghostState.step] : 0);
+    ghostState.step++;
+
+    const altitude = FalconCore.getDescentStatus(sim).altitude;
+    ghostState.checkpoints.forEach((checkpoint) => {
+        if (checkpoint.passed) return;
+        const reached = checkpoint.altitude === null
+            ? !sim.active && sim.result.success
+            : sim.active && altitude <= checkpoint.altitude;
+        if (reached) {
+            checkpoint.passed = true;
+            showCheckpointTime(checkpoint.name, (sim.stepCount - checkpoint.ghostStep) * PHYSICS_STEP / 1000);
+        }
+    });
+}
+
+// Show the time behind (+) or ahead of (-) the ghost at a checkpoint
+function showCheckpointTime(name, difference) {
+    ghostDisplay.textContent = `Ghost: ${name} ${difference > 0 ? '+' : ''}${difference.toFixed(2)}s`;
+    ghostDisplay.style.color = difference <= 0 ? '#00ff00' : '#ff3300';
+}
+
+// Draw the ghost rocket (in world coordinates) with the player's rocket drawing, faded out
+function drawGhost(shownSim, alpha) {
+    if (!ghostState || shownSim !== sim) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.save();
+    ctx.globalAlpha = GHOST_ALPHA;
+    drawRocketWithCatchPoints(getInterpolatedRocketPose(ghostState.sim, alpha, ghostState.previousPose));
+    ctx.restore();
+}
+
+// Keep a finished flight as the ghost for its seed or mission if it's the best catch there yet
+// Returns the lines to show on the game over screen
+function recordGhostFlight(result) {
+    // Flights the autopilot flew any of aren't the player's to race, as on the leaderboard
+    if (!result.success || flightPilotMode === 'autopilot' || !sim.recording) return [];
+
+    const key = getRecordingGhostKey(sim.recording);
+    const best = ghosts[key];
+    if (best && best.score >= result.levelScore) return [];
+
+    ghosts[key] = sim.recording;
+    saveGhosts();
+    return [best ? `New best run, ${result.levelScore - best.score} better than your ghost!` : 'Saved as your ghost for this run'];
+}
+
+// Race a ghost file on its own starting conditions from the next round
+function loadRivalGhost(recording) {
+    rivalGhost = recording;
+    const mission = recording.start.mission || null;
+    setMission(mission);
+    if (!mission) {
+        sim.difficultyLevel = recording.start.difficulty;
+    }
+    seedInput.value = recording.seed;
+    ghostDisplay.textContent = `Ghost: loaded run (${recording.score || 0}), ready for the next round`;
+    ghostDisplay.style.color = '';
+    ghostDisplay.classList.remove('hidden');
+}
+
+// Export the saved best run on the last flight's seed or mission
+exportGhostButton.addEventListener('click', () => {
+    exportGhostButton.blur();
+    const recording = ghosts[getGhostKey(sim.seed, sim.flightDifficulty, sim.flightMission)];
+    if (recording) {
+        downloadFlightRecording(recording);
+    } else {
+        alert('No ghost for this run yet: catch it first to save one.');
+    }
+});
+
+loadGhostButton.addEventListener('click', () => {
+    loadGhostButton.blur();
+    ghostFileInput.click();
+});
+
+ghostFileInput.addEventListener('change', () => {
+    const file = ghostFileInput.files[0];
+    ghostFileInput.value = '';
+    if (!file) return;
+
+    file.text().then((text) => {
+        loadRivalGhost(FalconCore.parseRecording(text));
+    }).catch((error) => {
+        alert(`Could not load ghost: ${error.message}`);
+    });
+});
@@ -0,0 +1,254 @@
+// Physics inspector
+// A debug overlay drawn over the shown simulation (I to open it, closed whenever the page
+// loads): the bodies' hitboxes and bounds, the catch tolerance boxes evaluateAlignment() in
+// core.js judges an approach by, the rocket's velocity and the thrust and gravity acting on it,
+// and after a catch the forces in the constraints holding it on the arms. Each layer is switched
+// with its own key while the inspector is open, and the choice of layers is saved. The inspector
+// draws the bodies where the physics has them after the latest step, which can be a fraction of
+// a step ahead of the smoothed drawing of the rocket; pause (and frame step) to see them line up.
+
+const INSPECTOR_STORAGE_KEY = 'falconInspector';
+const INSPECTOR_FORCE_SCALE = 25000; // Pixels per unit of force (a fully fuelled rocket's weight is about 60px)
+const INSPECTOR_VELOCITY_SCALE = 5; // Pixels per m/s
+
+// The layers, in legend order, with the key action that switches each one
+const INSPECTOR_LAYERS = [
+    { name: 'bounds', action: 'inspectBounds', label: 'Body bounds' },
+    { name: 'alignment', action: 'inspectAlignment', label: 'Catch tolerances' },
+    { name: 'vectors', action: 'inspectVectors', label: 'Velocity, thrust, gravity' },
+    { name: 'constraints', action: 'inspectConstraints', label: 'Constraint forces' },
+    { name: 'readout', action: 'inspectReadout', label: 'Alignment readout' }
+];
+
+let inspectorOpen = false;
+let inspectorLayers = loadInspectorLayers(); // Layer name to whether it's shown
+
+// Read which layers were switched on, all of them by default
+function loadInspectorLayers() {
+    const loaded = {};
+    INSPECTOR_LAYERS.forEach((layer) => {
+        loaded[layer.name] = true;
+    });
+    try {
+        const saved = JSON.parse(localStorage.getItem(INSPECTOR_STORAGE_KEY));
+        if (saved) {
+            INSPECTOR_LAYERS.forEach((layer) => {
+                if (typeof saved[layer.name] === 'boolean') {
+                    loaded[layer.name] = saved[layer.name];
+                }
+            });
+        }
+    } catch (error) {
+        // Unreadable or unavailable storage, keep the defaults
+    }
+    return loaded;
+}
+
+// Save which layers are switched on
+function saveInspectorLayers() {
+    try {
+        localStorage.setItem(INSPECTOR_STORAGE_KEY, JSON.stringify(inspectorLayers));
+    } catch (error) {
+        // Storage unavailable (e.g. private browsing), layers last until the page closes
+    }
+}
+
+// Whether a layer is on screen: the inspector is open and the layer switched on
+function isInspectorLayerShown(name) {
+    return inspectorOpen && inspectorLayers[name];
+}
+
+// The layer a key action switches, or null
+function getInspectorLayer(action) {
+    const layer = INSPECTOR_LAYERS.find(candidate => candidate.action === action);
+    return layer ? layer.name : null;
+}
+
+function toggleInspector() {
+    inspectorOpen = !inspectorOpen;
+    updateInspectorReadout();
+}
+
+// Switch a layer on or off (only while the inspector is open, so the keys do nothing in normal play)
+function toggleInspectorLayer(name) {
+    if (!inspectorOpen) return;
+    inspectorLayers[name] = !inspectorLayers[name];
+    saveInspectorLayers();
+    updateInspectorReadout();
+}
+
+// The alignment readout is the debug text panel, which only shows as an inspector layer
+function updateInspectorReadout() {
+    debugDisplayElement.classList.toggle('hidden', !isInspectorLayerShown('readout'));
+}
+
+// Draw the inspector's layers (in world coordinates)
+function drawInspector(shownSim) {
+    if (!inspectorOpen || editorState) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.font = '10px monospace';
+    if (inspectorLayers.bounds) {
+        drawInspectorBounds(ctx, shownSim);
+    }
+    if (inspectorLayers.alignment && shownSim.active) {
+        drawInspectorAlignment(ctx, shownSim);
+    }
+    if (inspectorLayers.vectors && shownSim.debris.length === 0) {
+        drawInspectorVectors(ctx, shownSim);
+    }
+    if (inspectorLayers.constraints && shownSim.rocketCatchConstraint && shownSim.rocketCatchConstraint2) {
+        drawInspectorConstraints(ctx, shownSim);
+    }
+    ctx.restore();
+}
+
+// Every body's hitbox, with its axis-aligned bounds dashed around it (static bodies in grey)
+function drawInspectorBounds(ctx, shownSim) {
+    Matter.Composite.allBodies(shownSim.engine.world).forEach((body) => {
+        ctx.strokeStyle = body.isStatic ? 'rgba(180, 180, 180, 0.8)' : 'rgba(0, 229, 255, 0.9)';
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        body.vertices.forEach((vertex, index) => {
+            if (index === 0) {
+                ctx.moveTo(vertex.x, vertex.y);
+            } else {
+                ctx.lineTo(vertex.x, vertex.y);
+            }
+        });
+        ctx.closePath();
+        ctx.stroke();
+
+        ctx.setLineDash([3, 3]);
+        ctx.strokeRect(body.bounds.min.x, body.bounds.min.y,
+            body.bounds.max.x - body.bounds.min.x, body.bounds.max.y - body.bounds.min.y);
+    });
+    ctx.setLineDash([]);
+}
+
+// The boxes around each arm's tip (where it will be once closed) that its catch point has to be
+// inside, or over a drone ship the stretch of deck the rocket has to come down on; green where
+// the rocket is lined up
+function drawInspectorAlignment(ctx, shownSim) {
+    const alignment = shownSim.evaluateAlignment();
+
+    if (alignment.pad) {
+        const pad = shownSim.pad;
+        ctx.strokeStyle = alignment.pad.isAligned ? '#00ff00' : '#ff3300';
+        ctx.setLineDash([4, 4]);
+        ctx.strokeRect(pad.x - alignment.pad.tolerance, pad.y - FalconCore.ROCKET_HEIGHT, alignment.pad.tolerance * 2, FalconCore.ROCKET_HEIGHT);
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.moveTo(shownSim.rocket.position.x, shownSim.rocket.position.y);
+        ctx.lineTo(shownSim.rocket.position.x, pad.y);
+        ctx.stroke();
+        return;
+    }
+
+    [alignment.left, alignment.right].forEach((side) => {
+        ctx.strokeStyle = side.isAligned ? '#00ff00' : '#ff3300';
+        ctx.strokeRect(side.catchArm.x - alignment.horizontalTolerance, side.catchArm.y - alignment.verticalTolerance,
+            alignment.horizontalTolerance * 2, alignment.verticalTolerance * 2);
+
+        // From the catch point to the arm's tip
+        ctx.setLineDash([2, 2]);
+        ctx.beginPath();
+        ctx.moveTo(side.catchPoint.x, side.catchPoint.y);
+        ctx.lineTo(side.catchArm.x, side.catchArm.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.moveTo(side.catchPoint.x - 3, side.catchPoint.y - 3);
+        ctx.lineTo(side.catchPoint.x + 3, side.catchPoint.y + 3);
+        ctx.moveTo(side.catchPoint.x + 3, side.catchPoint.y - 3);
+        ctx.lineTo(side.catchPoint.x - 3, side.catchPoint.y + 3);
+        ctx.stroke();
+    });
+}
+
+// The rocket's velocity from its centre of mass, the engine's thrust from the engine and gravity
+// (its weight) from the centre of mass, with forces to the same scale
+function drawInspectorVectors(ctx, shownSim) {
+    const rocket = shownSim.rocket;
+    const gravity = shownSim.engine.gravity;
+    const weight = rocket.mass * gravity.scale;
+    const speed = Math.hypot(rocket.velocity.x, rocket.velocity.y);
+    const enginePosition = {
+        x: rocket.position.x - Math.sin(rocket.angle) * FalconCore.ENGINE_OFFSET_Y,
+        y: rocket.position.y + Math.cos(rocket.angle) * FalconCore.ENGINE_OFFSET_Y
+    };
+
+    drawInspectorArrow(ctx, rocket.position, rocket.velocity, INSPECTOR_VELOCITY_SCALE, '#00ff00', `v ${speed.toFixed(2)} m/s`);
+    drawInspectorArrow(ctx, enginePosition, shownSim.thrust, INSPECTOR_FORCE_SCALE, '#ffaa00', 'thrust');
+    drawInspectorArrow(ctx, rocket.position, { x: gravity.x * weight, y: gravity.y * weight }, INSPECTOR_FORCE_SCALE, '#cc66ff', 'gravity');
+}
+
+// The force each catch constraint pulls the rocket with, from how far it's stretched: its
+// stretch beyond its rest length times its stiffness, along the constraint towards the arm
+function drawInspectorConstraints(ctx, shownSim) {
+    const rocket = shownSim.rocket;
+    [shownSim.rocketCatchConstraint2, shownSim.rocketCatchConstraint].forEach((constraint) => {
+        const onRocket = { x: rocket.position.x + constraint.pointA.x, y: rocket.position.y + constraint.pointA.y };
+        const onArm = { x: constraint.bodyB.position.x + constraint.pointB.x, y: constraint.bodyB.position.y + constraint.pointB.y };
+        const length = Math.hypot(onArm.x - onRocket.x, onArm.y - onRocket.y);
+        const force = (length - constraint.length) * constraint.stiffness;
+        const direction = length > 0
+            ? { x: (onArm.x - onRocket.x) / length, y: (onArm.y - onRocket.y) / length }
+            : { x: 0, y: 0 };
+
+        ctx.strokeStyle = '#00ff00';
+        ctx.beginPath();
+        ctx.moveTo(onRocket.x, onRocket.y);
+        ctx.lineTo(onArm.x, onArm.y);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(onArm.x, onArm.y, 3, 0, Math.PI * 2);
+        ctx.stroke();
+
+        drawInspectorArrow(ctx, onRocket, { x: direction.x * force, y: direction.y * force }, INSPECTOR_FORCE_SCALE, '#00ffcc',
+            `pull ${force.toFixed(4)}`);
+    });
+}
+
+// An arrow from a point along a vector drawn at the given scale, labelled at its tip
+function drawInspectorArrow(ctx, from, vector, scale, color, label) {
+    const tip = { x: from.x + vector.x * scale, y: from.y + vector.y * scale };
+    const length = Math.hypot(tip.x - from.x, tip.y - from.y);
+    if (length < 1) return;
+
+    const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(tip.x, tip.y);
+    ctx.moveTo(tip.x - Math.cos(angle - 0.4) * 6, tip.y - Math.sin(angle - 0.4) * 6);
+    ctx.lineTo(tip.x, tip.y);
+    ctx.lineTo(tip.x - Math.cos(angle + 0.4) * 6, tip.y - Math.sin(angle + 0.4) * 6);
+    ctx.stroke();
+    ctx.fillText(label, tip.x + 4, tip.y);
+}
+
+// List the layers and their keys in the bottom right corner of the screen (in screen coordinates)
+function drawInspectorLegend() {
+    if (!inspectorOpen || editorState) return;
+
+    const ctx = canvas.getContext('2d');
+    const lineHeight = 14;
+    const lines = [`INSPECTOR (${formatKey(bindings.keyboard.inspector)} to close)`].concat(INSPECTOR_LAYERS.map(layer =>
+        `${formatKey(bindings.keyboard[layer.action])} ${inspectorLayers[layer.name] ? '✓' : '✗'} ${layer.label}`));
+    const top = CANVAS_HEIGHT - 10 - lines.length * lineHeight;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(CANVAS_WIDTH - 270, top - 6, 210, lines.length * lineHeight + 8);
+    ctx.font = '12px monospace';
+    ctx.textBaseline = 'top';
+    lines.forEach((line, index) => {
+        ctx.fillStyle = index === 0 ? '#ffcc00' : '#ffffff';
+        ctx.fillText(line, CANVAS_WIDTH - 264, top + index * lineHeight);
+    });
+    ctx.restore();
+}
@@ -0,0 +1,226 @@
+// Missions and the campaign
+// A mission is a scenario saved as JSON: where the tower stands and how tall it is, the arm
+// width, where and how the rocket starts, gravity, fuel, wind, obstacles and a par score
+// (see parseMission() in core.js for the format). Missions load from a file, or from a URL
+// given as ?mission=... in the page address, and every round is flown in the loaded
+// mission until the player goes back to free play.
+// The campaign (campaign.js) is a series of built-in missions unlocked one after another;
+// the best stars earned on each are saved to localStorage.
+
+const CAMPAIGN_STORAGE_KEY = 'falconCampaign';
+
+// Mission and campaign elements
+const missionDisplay = document.getElementById('mission');
+const missionFileInput = document.getElementById('missionFileInput');
+const freePlayButtons = document.querySelectorAll('.free-play-button');
+const campaignScreenElement = document.getElementById('campaignScreen');
+const campaignListElement = document.getElementById('campaignList');
+const campaignStarsElement = document.getElementById('campaignStars');
+
+let missionSourceUrl = null; // URL the current mission was loaded from, so challenge links can include it
+let campaignMissionId = null; // Id of the campaign mission being flown, null outside the campaign
+let campaignProgress = loadCampaignProgress();
+
+// Fly every following round in a mission, or back in the regular game with null
+function setMission(mission, sourceUrl = null) {
+    sim.mission = mission;
+    sim.difficultyLevel = mission ? mission.difficulty : startingDifficulty;
+    sim.totalScore = 0;
+    missionSourceUrl = mission ? sourceUrl : null;
+    campaignMissionId = null;
+    updateMissionDisplay();
+}
+
+// Show which mission is being flown, and offer a way back to free play
+function updateMissionDisplay() {
+    const mission = sim.mission;
+    missionDisplay.classList.toggle('hidden', !mission);
+    if (mission) {
+        missionDisplay.textContent = `${campaignMissionId ? 'Campaign' : 'Mission'}: ${mission.name}${mission.par !== null ? ` (par ${mission.par})` : ''}`;
+    }
+    freePlayButtons.forEach((button) => {
+        button.classList.toggle('hidden', !mission);
+    });
+}
+
+// Load the mission named in the page address, e.g. ?mission=missions/crosswind.json
+function loadMissionFromUrl() {
+    const url = new URLSearchParams(window.location.search).get('mission');
+    if (!url) return;
+
+    fetch(url).then((response) => {
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        return response.text();
+    }).then((text) => {
+        setMission(FalconCore.parseMission(text), url);
+    }).catch((error) => {
+        alert(`Could not load mission: ${error.message}`);
+    });
+}
+
+// Read the saved campaign progress, starting from scratch if there is none
+function loadCampaignProgress() {
+    const loaded = FalconCampaign.createProgress();
+    try {
+        const saved = JSON.parse(localStorage.getItem(CAMPAIGN_STORAGE_KEY));
+        if (saved && saved.stars && typeof saved.stars === 'object') {
+            FalconCampaign.CAMPAIGN_MISSIONS.forEach((entry) => {
+                const stars = saved.stars[entry.id];
+                if (Number.isInteger(stars) && stars > 0 && stars <= FalconCampaign.MAX_STARS) {
+                    loaded.stars[entry.id] = stars;
+                }
+            });
+        }
+    } catch (error) {
+        // Unreadable or unavailable storage, start the campaign afresh
+    }
+    return loaded;
+}
+
+// Save the campaign progress
+function saveCampaignProgress() {
+    try {
+        localStorage.setItem(CAMPAIGN_STORAGE_KEY, JSON.stringify(campaignProgress));
+    } catch (error) {
+        // Storage unavailable (e.g. private browsing), progress lasts until the page closes
+    }
+}
+
+// Stars as text, e.g. '★★☆'
+function formatStars(stars) {
+    return '★'.repeat(stars) + '☆'.repeat(FalconCampaign.MAX_STARS - stars);
+}
+
+// Keep the stars a campaign flight earned, and describe them for the game over screen
+// Returns the lines to show, or an empty list outside the campaign
+function recordCampaignFlight(result) {
+    const index = FalconCampaign.CAMPAIGN_MISSIONS.findIndex(entry => entry.id === campaignMissionId);
+    if (index < 0 || result.stars === null) return [];
+
+    const lines = [`Stars: ${formatStars(result.stars)}`];
+    result.starCriteria.forEach((criterion) => {
+        lines.push(`${criterion.met ? '★' : '☆'} ${criterion.label}`);
+    });
+
+    // Flights the autopilot flew any of don't count towards the campaign
+    if (flightPilotMode === 'autopilot') {
+        lines.push('(Autopilot flights earn no stars)');
+        return lines;
+    }
+
+    const wasUnlocked = FalconCampaign.isMissionUnlocked(campaignProgress, index + 1);
+    if (FalconCampaign.recordStars(campaignProgress, campaignMissionId, result.stars)) {
+        saveCampaignProgress();
+        lines.push('New best for this mission!');
+    }
+    const next = FalconCampaign.CAMPAIGN_MISSIONS[index + 1];
+    if (next && !wasUnlocked && FalconCampaign.isMissionUnlocked(campaignProgress, index + 1)) {
+        lines.push(`Unlocked: ${next.mission.name}`);
+    }
+    return lines;
+}
+
+// List the campaign's missions with their best stars, locked ones greyed out
+function renderCampaign() {
+    campaignListElement.innerHTML = '';
+    FalconCampaign.CAMPAIGN_MISSIONS.forEach((entry, index) => {
+        const unlocked = FalconCampaign.isMissionUnlocked(campaignProgress, index);
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'campaign-mission';
+        button.disabled = !unlocked;
+
+        const title = document.createElement('div');
+        title.className = 'campaign-mission-title';
+        title.textContent = `${index + 1}. ${entry.mission.name} ${formatStars(campaignProgress.stars[entry.id] || 0)}`;
+        const description = document.createElement('div');
+        description.className = 'campaign-mission-description';
+        description.textContent = unlocked
+            ? entry.mission.description
+            : `Locked: complete ${FalconCampaign.CAMPAIGN_MISSIONS[index - 1].mission.name} first`;
+        button.appendChild(title);
+        button.appendChild(description);
+
+        button.addEventListener('click', () => {
+            startCampaignMission(index);
+        });
+        campaignListElement.appendChild(button);
+    });
+
+    const maxStars = FalconCampaign.CAMPAIGN_MISSIONS.length * FalconCampaign.MAX_STARS;
+    campaignStarsElement.textContent = `Stars: ${FalconCampaign.getTotalStars(campaignProgress)} / ${maxStars}`;
+}
+
+// Whether the campaign screen is open (the game ignores its controls meanwhile)
+function isCampaignOpen() {
+    return !campaignScreenElement.classList.contains('hidden');
+}
+
+function openCampaign() {
+    renderCampaign();
+    campaignScreenElement.classList.remove('hidden');
+}
+
+function closeCampaign() {
+    campaignScreenElement.classList.add('hidden');
+}
+
+// Fly a campaign mission, leaving the title or game over screen
+function startCampaignMission(index) {
+    const entry = FalconCampaign.CAMPAIGN_MISSIONS[index];
+    setMission(entry.mission);
+    campaignMissionId = entry.id;
+    updateMissionDisplay();
+    closeCampaign();
+
+    demoState = null;
+    titleScreenElement.classList.add('hidden');
+    resetGame();
+    animationFrameId = requestAnimationFrame(gameLoop);
+}
+
+document.querySelectorAll('.load-mission-button').forEach((button) => {
+    button.addEventListener('click', () => {
+        button.blur();
+        missionFileInput.click();
+    });
+});
+
+missionFileInput.addEventListener('change', () => {
+    const file = missionFileInput.files[0];
+    missionFileInput.value = '';
+    if (!file) return;
+
+    file.text().then((text) => {
+        setMission(FalconCore.parseMission(text));
+    }).catch((error) => {
+        alert(`Could not load mission: ${error.message}`);
+    });
+});
+
+freePlayButtons.forEach((button) => {
+    button.addEventListener('click', () => {
+        button.blur();
+        setMission(null);
+    });
+});
+
+document.querySelectorAll('.campaign-button').forEach((button) => {
+    button.addEventListener('click', () => {
+        button.blur();
+        openCampaign();
+    });
+});
+
+document.getElementById('resetCampaignButton').addEventListener('click', () => {
+    if (!confirm('Forget all campaign stars and lock the missions again?')) return;
+    campaignProgress = FalconCampaign.createProgress();
+    saveCampaignProgress();
+    renderCampaign();
+});
+
+document.getElementById('closeCampaignButton').addEventListener('click', () => {
+    closeCampaign();
+});
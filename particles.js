@@ -0,0 +1,183 @@
+// Particles
+// Exhaust, smoke, dust and explosions, drawn over the shown simulation. The engine's plume is a
+// stream of particles driven by the throttle and carried along with the rocket's velocity; where
+// it reaches the ground (or the drone ship's deck) it kicks up dust and smoke, and a destroyed
+// rocket goes up in a fireball while its debris (Matter.js bodies, see breakUpRocket() in core.js)
+// trails smoke. Particles are purely visual and advance with the simulation's steps, so they
+// pause and slow down with replays. MAX_PARTICLES caps how many there can be, keeping the frame
+// rate steady: new ones are dropped while the budget is used up.
+
+const MAX_PARTICLES = 600;
+const EXHAUST_PER_STEP = 4; // Particles the plume gives off each step at full throttle
+const EXHAUST_SPEED = 4; // Speed the exhaust leaves the engine at (pixels per step)
+const PLUME_REACH = 240; // How far below the engine the plume still kicks up dust at full throttle
+const DUST_PER_STEP = 3; // Dust particles each step with the engine at full throttle right over the ground
+const EXPLOSION_FIRE = 90; // Particles in an explosion's fireball
+const EXPLOSION_SMOKE = 50;
+const DEBRIS_SMOKE_STEPS = 240; // How long debris keeps trailing smoke after an explosion
+
+// Colours particles start and end their life with, and how they move
+const PARTICLE_TYPES = {
+    exhaust: { from: [255, 220, 120], to: [255, 60, 0], alpha: 0.8, drag: 0.94, rise: 0, grow: 0.25 },
+    fire: { from: [255, 240, 160], to: [200, 40, 0], alpha: 0.9, drag: 0.92, rise: 0.02, grow: 0.3 },
+    smoke: { from: [120, 120, 120], to: [60, 60, 60], alpha: 0.45, drag: 0.97, rise: 0.015, grow: 0.2 },
+    dust: { from: [170, 140, 100], to: [110, 95, 80], alpha: 0.5, drag: 0.95, rise: 0.005, grow: 0.25 }
+};
+
+// Particles for the shown simulation, which start over when it changes or a new flight starts
+const particleState = {
+    sim: null,
+    stepCount: 0,
+    particles: [],
+    wreckAge: null, // Steps since the rocket was destroyed, null while it's in one piece
+    exhaustCarry: 0, // Fractions of a particle left over from earlier steps' exhaust
+    dustCarry: 0
+};
+
+// Add a particle unless the budget's used up
+function addParticle(type, x, y, vx, vy, size, life) {
+    if (particleState.particles.length >= MAX_PARTICLES) return;
+    particleState.particles.push({ type: type, x: x, y: y, vx: vx, vy: vy, size: size, age: 0, life: life });
+}
+
+// Random number between min and max
+function randomBetween(min, max) {
+    return min + Math.random() * (max - min);
+}
+
+// Advance the particles by one simulation step, and give off new ones
+function updateParticles(shownSim) {
+    if (particleState.sim !== shownSim || shownSim.stepCount < particleState.stepCount) {
+        particleState.sim = shownSim;
+        particleState.particles = [];
+        particleState.wreckAge = null;
+    }
+    particleState.stepCount = shownSim.stepCount;
+
+    const wind = shownSim.wind ? shownSim.wind.speed : 0;
+    particleState.particles.forEach((particle) => {
+        const type = PARTICLE_TYPES[particle.type];
+        particle.vx = particle.vx * type.drag + (particle.type === 'exhaust' ? 0 : wind * 0.01);
+        particle.vy = particle.vy * type.drag - type.rise;
+        particle.x += particle.vx;
+        particle.y += particle.vy;
+        particle.size += type.grow;
+        particle.age++;
+    });
+    particleState.particles = particleState.particles.filter(particle => particle.age < particle.life);
+
+    emitExhaust(shownSim);
+    emitWreckage(shownSim);
+}
+
+// The plume, and dust and smoke where it reaches the ground
+function emitExhaust(shownSim) {
+    if (!shownSim.active || shownSim.throttleLevel <= 0 || shownSim.fuel <= 0 || shownSim.engineOut) return;
+
+    const rocket = shownSim.rocket;
+    const throttle = shownSim.throttleLevel / 100;
+    const direction = rocket.angle + shownSim.gimbalAngle; // The plume leaves along the gimballed engine
+    const plumeX = -Math.sin(direction);
+    const plumeY = Math.cos(direction);
+    const nozzleX = rocket.position.x - Math.sin(rocket.angle) * FalconCore.ROCKET_HEIGHT / 2;
+    const nozzleY = rocket.position.y + Math.cos(rocket.angle) * FalconCore.ROCKET_HEIGHT / 2;
+
+    particleState.exhaustCarry += EXHAUST_PER_STEP * throttle;
+    for (; particleState.exhaustCarry >= 1; particleState.exhaustCarry--) {
+        const speed = EXHAUST_SPEED * (0.6 + throttle * 0.4) * randomBetween(0.8, 1.2);
+        const spread = randomBetween(-0.12, 0.12);
+        addParticle(
+            'exhaust',
+            nozzleX,
+            nozzleY,
+            rocket.velocity.x + (plumeX + plumeY * spread) * speed,
+            rocket.velocity.y + (plumeY - plumeX * spread) * speed,
+            randomBetween(2, 3.5),
+            Math.round(randomBetween(12, 20) * (0.5 + throttle * 0.5))
+        );
+    }
+
+    // The ground, or the drone ship's deck when the plume points at it
+    if (plumeY <= 0) return;
+    let groundY = FalconCore.WORLD_HEIGHT;
+    let distance = (groundY - nozzleY) / plumeY;
+    if (shownSim.pad) {
+        const deckDistance = (shownSim.pad.y - nozzleY) / plumeY;
+        if (deckDistance > 0 && Math.abs(nozzleX + plumeX * deckDistance - shownSim.pad.x) < shownSim.pad.width / 2) {
+            groundY = shownSim.pad.y;
+            distance = deckDistance;
+        }
+    }
+    const reach = PLUME_REACH * throttle;
+    if (distance < 0 || distance > reach) return;
+
+    const hitX = nozzleX + plumeX * distance;
+    particleState.dustCarry += DUST_PER_STEP * throttle * (1 - distance / reach);
+    for (; particleState.dustCarry >= 1; particleState.dustCarry--) {
+        const side = Math.random() < 0.5 ? -1 : 1;
+        addParticle(
+            Math.random() < 0.6 ? 'dust' : 'smoke',
+            hitX + randomBetween(-4, 4),
+            groundY - 2,
+            side * randomBetween(1.5, 4) + plumeX * 2,
+            -randomBetween(0.2, 1),
+            randomBetween(3, 5),
+            Math.round(randomBetween(50, 90))
+        );
+    }
+}
+
+// A fireball when the rocket's destroyed, then smoke from its pieces
+function emitWreckage(shownSim) {
+    if (shownSim.debris.length === 0) return;
+
+    if (particleState.wreckAge === null) {
+        particleState.wreckAge = 0;
+        const position = shownSim.rocket.position;
+        for (let i = 0; i < EXPLOSION_FIRE; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const speed = randomBetween(0.5, 5);
+            addParticle('fire', position.x, position.y, Math.cos(angle) * speed, Math.sin(angle) * speed - 1,
+                randomBetween(3, 6), Math.round(randomBetween(25, 50)));
+        }
+        for (let i = 0; i < EXPLOSION_SMOKE; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const speed = randomBetween(0.3, 2);
+            addParticle('smoke', position.x, position.y, Math.cos(angle) * speed, Math.sin(angle) * speed - 0.5,
+                randomBetween(5, 9), Math.round(randomBetween(90, 150)));
+        }
+    }
+
+    // Leave room in the budget for the rest of the scene while the pieces smoke
+    particleState.wreckAge++;
+    if (particleState.wreckAge > DEBRIS_SMOKE_STEPS || particleState.particles.length >= MAX_PARTICLES / 2) return;
+    shownSim.debris.forEach((piece) => {
+        if (Math.random() < 0.3) {
+            addParticle('smoke', piece.position.x, piece.position.y, piece.velocity.x * 0.3, piece.velocity.y * 0.3 - 0.3,
+                randomBetween(2, 4), Math.round(randomBetween(60, 100)));
+        }
+    });
+}
+
+// Draw the particles (in world coordinates), smoke and dust first so fire glows on top
+function drawParticles(shownSim) {
+    if (particleState.sim !== shownSim || particleState.particles.length === 0) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.save();
+    ['smoke', 'dust', 'exhaust', 'fire'].forEach((typeName) => {
+        const type = PARTICLE_TYPES[typeName];
+        ctx.globalCompositeOperation = typeName === 'exhaust' || typeName === 'fire' ? 'lighter' : 'source-over';
+        particleState.particles.forEach((particle) => {
+            if (particle.type !== typeName) return;
+
+            const progress = particle.age / particle.life;
+            const color = type.from.map((from, index) => Math.round(from + (type.to[index] - from) * progress));
+            ctx.fillStyle = `rgba(${color[0]}, ${color[1]}, ${color[2]}, ${(type.alpha * (1 - progress)).toFixed(3)})`;
+            ctx.beginPath();
+            ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    });
+    ctx.restore();
+}
@@ -0,0 +1,124 @@
+// Pause
+// Pausing stops the player's flight between simulation steps and opens the pause menu; the
+// flight also pauses by itself when the tab is hidden, so it can't crash while you're away.
+// For development, slow motion scales down how fast simulated time passes, and frame stepping
+// runs one simulation step at a time while paused, to see exactly what the alignment checks
+// (evaluateAlignment() in core.js, shown in the debug readout) make of each step of an approach.
+
+const SLOW_MOTION_SCALES = [1, 0.5, 0.25, 0.1]; // Time scales the slow motion control cycles through
+
+// Pause menu elements
+const pauseMenuElement = document.getElementById('pauseMenu');
+const pauseBannerElement = document.getElementById('pauseBanner');
+const resumeButton = document.getElementById('resumeButton');
+const pauseRestartButton = document.getElementById('pauseRestartButton');
+
+const pauseState = {
+    paused: false,
+    stepping: false, // Frame stepping: the menu is put away so the flight can be seen
+    stepsRequested: 0, // Single steps waiting for the game loop to run them
+    timeScale: 1
+};
+
+// The player's flight is paused (replays have their own pause, and the title screen demo and
+// the editor never pause)
+function isPaused() {
+    return pauseState.paused && sim.active && getShownSimulation() === sim;
+}
+
+// Whether there's a flight on screen that can be paused
+function canPause() {
+    return sim.active && getShownSimulation() === sim;
+}
+
+function pauseGame() {
+    if (!canPause()) return;
+    pauseState.paused = true;
+    pauseState.stepping = false;
+    pauseState.stepsRequested = 0;
+    updatePauseDisplay();
+}
+
+function resumeGame() {
+    pauseState.paused = false;
+    pauseState.stepping = false;
+    pauseState.stepsRequested = 0;
+    updatePauseDisplay();
+}
+
+// Pause because the player has looked away, leaving the flight be if it's already paused
+// (so frame stepping carries on where it was)
+function autoPause() {
+    if (!pauseState.paused) {
+        pauseGame();
+    }
+}
+
+function togglePause() {
+    if (pauseState.paused) {
+        resumeGame();
+    } else {
+        pauseGame();
+    }
+}
+
+// Run a single simulation step, pausing first if the flight is running
+function requestFrameStep() {
+    if (!canPause()) return;
+    if (!pauseState.paused) {
+        pauseGame();
+    }
+    pauseState.stepping = true;
+    pauseState.stepsRequested++;
+    updatePauseDisplay();
+}
+
+// Take one of the requested single steps; called by the game loop while paused
+function takeFrameStep() {
+    if (pauseState.stepsRequested === 0) return false;
+    pauseState.stepsRequested--;
+    return true;
+}
+
+// Move on to the next slow motion time scale
+function cycleSlowMotion() {
+    const index = SLOW_MOTION_SCALES.indexOf(pauseState.timeScale);
+    pauseState.timeScale = SLOW_MOTION_SCALES[(index + 1) % SLOW_MOTION_SCALES.length];
+    updatePauseDisplay();
+}
+
+// Show the pause menu, or while frame stepping or in slow motion a banner saying so
+function updatePauseDisplay() {
+    pauseMenuElement.classList.toggle('hidden', !pauseState.paused || pauseState.stepping);
+
+    let banner = '';
+    if (pauseState.paused && pauseState.stepping) {
+        banner = `Paused at step ${sim.stepCount} - ${formatKey(bindings.keyboard.frameStep)} to step, ${formatKey(bindings.keyboard.pause)} to resume`;
+    } else if (pauseState.timeScale !== 1) {
+        banner = `Slow motion ${pauseState.timeScale}x`;
+    }
+    pauseBannerElement.textContent = banner;
+    pauseBannerElement.classList.toggle('hidden', banner === '');
+}
+
+resumeButton.addEventListener('click', () => {
+    resumeGame();
+});
+
+pauseRestartButton.addEventListener('click', () => {
+    resumeGame();
+    resetGame();
+    animationFrameId = requestAnimationFrame(gameLoop);
+});
+
+// Don't let the flight carry on while the player can't see it (another tab), or has moved on to
+// another window while the tab is still showing
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+        autoPause();
+    }
+});
+
+window.addEventListener('blur', () => {
+    autoPause();
+});
@@ -0,0 +1,156 @@
+// Replay playback
+// The simulation records each flight as its starting state plus the player's
+// inputs for every step (see createRecording() in core.js). Because it is stepped
+// deterministically, feeding the same inputs to a fresh simulation reproduces the
+// flight exactly. Replays run in their own simulation so the game is left untouched.
+
+const REPLAY_TAIL_STEPS = 120; // Steps simulated after the last input so the outcome can be seen
+
+// Replay UI elements
+const replayControlsElement = document.getElementById('replayControls');
+const replayPlayButton = document.getElementById('replayPlayButton');
+const replaySpeedSelect = document.getElementById('replaySpeed');
+const replayScrubber = document.getElementById('replayScrubber');
+const replayTimeDisplay = document.getElementById('replayTime');
+const replayExportButton = document.getElementById('replayExportButton');
+const replayExitButton = document.getElementById('replayExitButton');
+const watchReplayButton = document.getElementById('watchReplayButton');
+const loadReplayButton = document.getElementById('loadReplayButton');
+const replayFileInput = document.getElementById('replayFileInput');
+
+// Playback state, null when no replay is showing
+let replayState = null;
+
+// Save a recording as a JSON file
+function downloadFlightRecording(recording) {
+    downloadFile(JSON.stringify(recording), 'application/json', `falcon-replay-${recording.seed}-level${recording.start.difficulty}.json`);
+}
+
+// Total number of steps a replay can show
+function getReplayLength(recording) {
+    return recording.inputs.length + REPLAY_TAIL_STEPS;
+}
+
+// Start watching a recorded flight
+function startReplay(recording) {
+    replayState = {
+        sim: FalconCore.createSimulation({ difficulty: recording.start.difficulty }),
+        recording: recording,
+        step: 0,
+        playing: true,
+        speed: parseFloat(replaySpeedSelect.value)
+    };
+
+    gameOverElement.classList.add('hidden');
+    replayControlsElement.classList.remove('hidden');
+    replayScrubber.max = getReplayLength(recording);
+
+    seekReplay(0);
+}
+
+// Leave the replay and return to the game over screen
+function stopReplay() {
+    replayState = null;
+
+    replayControlsElement.classList.add('hidden');
+    gameOverElement.classList.remove('hidden');
+    restartButton.focus();
+}
+
+// Simulate one recorded step
+function runReplayStep() {
+    const inputs = replayState.recording.inputs;
+    const input = replayState.step < inputs.length ? inputs[replayState.step] : 0;
+    replayState.sim.step(input);
+    replayState.step++;
+}
+
+// Jump to a step by re-simulating the flight from its start
+function seekReplay(targetStep) {
+    const target = Math.max(0, Math.min(targetStep, getReplayLength(replayState.recording)));
+
+    replayState.sim.applyStartState(replayState.recording.start);
+    replayState.step = 0;
+    while (replayState.step < target) {
+        runReplayStep();
+    }
+
+    updateReplayControls();
+}
+
+// Run the next recorded step from the game loop
+// Returns false when the replay is paused or has finished
+function advanceReplay() {
+    if (!replayState.playing) return false;
+
+    if (replayState.step >= getReplayLength(replayState.recording)) {
+        replayState.playing = false;
+        return false;
+    }
+
+    runReplayStep();
+    return true;
+}
+
+// Pause or resume, starting over if the replay already finished
+function toggleReplayPlayback() {
+    if (!replayState.playing && replayState.step >= getReplayLength(replayState.recording)) {
+        seekReplay(0);
+    }
+    replayState.playing = !replayState.playing;
+    updateReplayControls();
+}
+
+// Keep the replay bar in sync with playback
+function updateReplayControls() {
+    const seconds = (replayState.step * PHYSICS_STEP) / 1000;
+    const totalSeconds = (getReplayLength(replayState.recording) * PHYSICS_STEP) / 1000;
+
+    replayScrubber.value = replayState.step;
+    replayTimeDisplay.textContent = `${seconds.toFixed(1)} / ${totalSeconds.toFixed(1)} s`;
+    replayPlayButton.textContent = replayState.playing ? 'Pause' : 'Play';
+}
+
+watchReplayButton.addEventListener('click', () => {
+    if (sim.recording && sim.recording.inputs.length > 0) {
+        startReplay(sim.recording);
+    }
+});
+
+replayPlayButton.addEventListener('click', () => {
+    toggleReplayPlayback();
+});
+
+replaySpeedSelect.addEventListener('change', () => {
+    replayState.speed = parseFloat(replaySpeedSelect.value);
+});
+
+replayScrubber.addEventListener('input', () => {
+    replayState.playing = false;
+    seekReplay(parseInt(replayScrubber.value, 10));
+});
+
+replayExportButton.addEventListener('click', () => {
+    downloadFlightRecording(replayState.recording);
+});
+
+replayExitButton.addEventListener('click', () => {
+    stopReplay();
+});
+
+// Import a replay exported by someone else
+loadReplayButton.addEventListener('click', () => {
+    replayFileInput.click();
+});
+
+replayFileInput.addEventListener('change', () => {
+    const file = replayFileInput.files[0];
+    replayFileInput.value = '';
+    if (!file) return;
+
+    file.text().then((text) => {
+        startReplay(FalconCore.parseRecording(text));
+    }).catch((error) => {
+        alert(`Could not load replay: ${error.message}`);
+    });
+});
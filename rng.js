@@ -0,0 +1,58 @@
+// Seeded random number generation
+// Every random starting condition is drawn from a generator created from a seed,
+// so the same seed and difficulty always produce the same scenario.
+
+const SEED_ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+const SEED_LENGTH = 6;
+
+// Hash a seed string into a 32-bit integer (FNV-1a)
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Create a random number generator for a seed (mulberry32)
+// Returns a function that yields numbers in [0, 1) just like Math.random()
+function createRng(seed) {
+    let state = hashSeed(seed);
+    return function () {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Generate a new short, shareable seed such as "k3x9qa"
+function generateSeed() {
+    let seed = '';
+    for (let i = 0; i < SEED_LENGTH; i++) {
+        seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+    }
+    return seed;
+}
+
+// Seed for the daily challenge, shared by everyone playing on the same (UTC) date
+function getDailySeed(date = new Date()) {
+    return `daily-${date.toISOString().slice(0, 10)}`;
+}
+
+// Clean up a seed typed in by the player or taken from the URL
+// Returns null when nothing usable is left
+function normalizeSeed(seed) {
+    if (seed === null || seed === undefined) return null;
+    const cleaned = String(seed).trim().toLowerCase().replace(/[^a-z0-9-]/g, '').slice(0, 32);
+    if (!cleaned) return null;
+    return cleaned === 'daily' ? getDailySeed() : cleaned;
+}
+
+// Make the generator available to Node (core.js requires it when running headless)
+if (typeof module === 'object' && module.exports) {
+    module.exports = { hashSeed, createRng, generateSeed, getDailySeed, normalizeSeed };
+}
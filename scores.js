@@ -0,0 +1,339 @@
+// Leaderboard and flight history
+// Every flight the player finishes is added to a history of past runs, and the best
+// scores can be put on a leaderboard under the player's initials. Both are saved to
+// localStorage; the history can be exported and imported as JSON or CSV.
+
+const SCORES_STORAGE_KEY = 'falconScores';
+const LEADERBOARD_SIZE = 10;
+const MAX_HISTORY = 500; // Oldest flights are dropped beyond this
+const SHOWN_HISTORY = 50; // Most recent flights listed on the high score screen
+const HISTORY_CSV_COLUMNS = ['date', 'seed', 'difficulty', 'difficultyReached', 'pilot', 'outcome', 'landingVelocity', 'fuel', 'score', 'totalScore', 'breakdown'];
+
+// High score screen and game over elements
+const scoresScreenElement = document.getElementById('scoresScreen');
+const leaderboardTable = document.getElementById('leaderboardTable');
+const historyTable = document.getElementById('historyTable');
+const scoresHintElement = document.getElementById('scoresHint');
+const highScoresButton = document.getElementById('highScoresButton');
+const highScoreEntryElement = document.getElementById('highScoreEntry');
+const initialsInput = document.getElementById('initialsInput');
+const saveInitialsButton = document.getElementById('saveInitialsButton');
+const exportHistoryJsonButton = document.getElementById('exportHistoryJsonButton');
+const exportHistoryCsvButton = document.getElementById('exportHistoryCsvButton');
+const importHistoryButton = document.getElementById('importHistoryButton');
+const historyFileInput = document.getElementById('historyFileInput');
+const closeScoresButton = document.getElementById('closeScoresButton');
+
+let scores = loadScores();
+let pendingHighScore = null; // History entry waiting for the player's initials to go on the leaderboard
+
+// Read the saved leaderboard and history, starting empty if there are none
+function loadScores() {
+    const loaded = { initials: '', leaderboard: [], history: [] };
+    try {
+        const saved = JSON.parse(localStorage.getItem(SCORES_STORAGE_KEY));
+        if (saved) {
+            loaded.initials = typeof saved.initials === 'string' ? saved.initials : '';
+            loaded.leaderboard = Array.isArray(saved.leaderboard) ? saved.leaderboard : [];
+            loaded.history = Array.isArray(saved.history) ? saved.history : [];
+        }
+    } catch (error) {
+        // Unreadable or unavailable storage, start with no scores
+    }
+    return loaded;
+}
+
+// Save the leaderboard and history
+function saveScores() {
+    try {
+        localStorage.setItem(SCORES_STORAGE_KEY, JSON.stringify(scores));
+    } catch (error) {
+        // Storage unavailable (e.g. private browsing), scores last until the page closes
+    }
+}
+
+// Add a finished flight to the history, and ask for initials if it made the leaderboard
+function recordFlight(result, flightSim) {
+    const landing = result.landing;
+    const entry = {
+        date: new Date().toISOString(),
+        seed: flightSim.seed,
+        difficulty: flightSim.flightDifficulty,
+        difficultyReached: result.difficultyLevel,
+        pilot: flightPilotMode,
+        outcome: result.message,
+        landingVelocity: Math.round(landing.landingVelocity * 100) / 100,
+        fuel: Math.round(landing.fuelPercent),
+        score: result.levelScore,
+        totalScore: result.totalScore,
+        breakdown: result.breakdown
+    };
+
+    scores.history.push(entry);
+    scores.history = scores.history.slice(-MAX_HISTORY);
+    saveScores();
+
+    // Flights the autopilot flew any of are kept in the history but can't go on the leaderboard
+    pendingHighScore = flightPilotMode !== 'autopilot' && isHighScore(entry.score) ? entry : null;
+    highScoreEntryElement.classList.toggle('hidden', !pendingHighScore);
+    if (pendingHighScore) {
+        initialsInput.value = scores.initials;
+    }
+}
+
+// Check if a score would make the leaderboard
+function isHighScore(score) {
+    if (score <= 0) return false;
+    if (scores.leaderboard.length < LEADERBOARD_SIZE) return true;
+    return score > scores.leaderboard[scores.leaderboard.length - 1].score;
+}
+
+// Put the flight waiting for initials on the leaderboard
+function saveHighScore() {
+    if (!pendingHighScore) return;
+
+    const initials = initialsInput.value.trim().toUpperCase().slice(0, 3) || '???';
+    scores.initials = initials;
+    scores.leaderboard.push({
+        initials: initials,
+        score: pendingHighScore.score,
+        difficulty: pendingHighScore.difficulty,
+        seed: pendingHighScore.seed,
+        date: pendingHighScore.date
+    });
+    scores.leaderboard.sort((a, b) => b.score - a.score);
+    scores.leaderboard = scores.leaderboard.slice(0, LEADERBOARD_SIZE);
+    saveScores();
+
+    pendingHighScore = null;
+    highScoreEntryElement.classList.add('hidden');
+    restartButton.focus();
+}
+
+// One line summary of a score breakdown, e.g. "Catch 2000; Fuel Bonus 632"
+function formatBreakdown(breakdown) {
+    return breakdown.map(item => `${item.label} ${item.points}`).join('; ');
+}
+
+// Read a breakdown summary back into items
+function parseBreakdown(text) {
+    if (!text) return [];
+    return text.split('; ').map((part) => {
+        const split = part.lastIndexOf(' ');
+        return { label: part.slice(0, split), points: parseInt(part.slice(split + 1), 10) || 0 };
+    });
+}
+
+// The history as CSV, one flight per row
+function historyToCsv(history) {
+    const quote = (value) => {
+        const text = String(value === undefined || value === null ? '' : value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = history.map(entry => HISTORY_CSV_COLUMNS.map(column =>
+        quote(column === 'breakdown' ? formatBreakdown(entry.breakdown || []) : entry[column])
+    ).join(','));
+    return [HISTORY_CSV_COLUMNS.join(',')].concat(rows).join('\n');
+}
+
+// Split CSV text into rows of fields, handling quoted fields
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value !== ''));
+}
+
+// Read history entries from exported CSV
+function historyFromCsv(text) {
+    const rows = parseCsvRows(text);
+    const header = rows.shift() || [];
+    if (!HISTORY_CSV_COLUMNS.every(column => header.includes(column))) {
+        throw new Error('Not a Falcon flight history file');
+    }
+
+    const numbers = ['difficulty', 'difficultyReached', 'landingVelocity', 'fuel', 'score', 'totalScore'];
+    return rows.map((fields) => {
+        const entry = {};
+        header.forEach((column, index) => {
+            const value = fields[index] || '';
+            if (column === 'breakdown') {
+                entry.breakdown = parseBreakdown(value);
+            } else if (numbers.includes(column)) {
+                entry[column] = parseFloat(value) || 0;
+            } else {
+                entry[column] = value;
+            }
+        });
+        return entry;
+    });
+}
+
+// Read an exported JSON or CSV file and add its flights (and leaderboard, for JSON) to ours
+// Flights already in the history are skipped, so importing the same file twice changes nothing
+function importScores(text) {
+    let imported;
+    if (text.trim().startsWith('{')) {
+        imported = JSON.parse(text);
+        if (!Array.isArray(imported.history)) {
+            throw new Error('Not a Falcon flight history file');
+        }
+    } else {
+        imported = { history: historyFromCsv(text), leaderboard: [] };
+    }
+
+    const key = entry => `${entry.date}|${entry.seed}`;
+    const known = new Set(scores.history.map(key));
+    const isValid = entry => entry && typeof entry.date === 'string' && Number.isFinite(entry.score) &&
+                             Number.isFinite(entry.landingVelocity) && Number.isFinite(entry.fuel);
+    const newFlights = imported.history.filter(entry => isValid(entry) && !known.has(key(entry)));
+    scores.history = scores.history.concat(newFlights)
+        .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0))
+        .slice(-MAX_HISTORY);
+
+    const knownScores = new Set(scores.leaderboard.map(key));
+    (imported.leaderboard || []).forEach((entry) => {
+        if (entry && Number.isFinite(entry.score) && typeof entry.date === 'string' && !knownScores.has(key(entry))) {
+            scores.leaderboard.push(entry);
+        }
+    });
+    scores.leaderboard.sort((a, b) => b.score - a.score);
+    scores.leaderboard = scores.leaderboard.slice(0, LEADERBOARD_SIZE);
+
+    saveScores();
+    return newFlights.length;
+}
+
+// Fill a table with a header row and one row per item
+function fillTable(table, headings, rows) {
+    table.innerHTML = '';
+    const headerRow = table.insertRow();
+    headings.forEach((heading) => {
+        const cell = document.createElement('th');
+        cell.textContent = heading;
+        headerRow.appendChild(cell);
+    });
+    rows.forEach((row) => {
+        const tableRow = table.insertRow();
+        row.cells.forEach((value) => {
+            tableRow.insertCell().textContent = value;
+        });
+        if (row.title) tableRow.title = row.title;
+    });
+}
+
+// Show the leaderboard and the most recent flights
+function renderScores() {
+    fillTable(leaderboardTable, ['#', 'Name', 'Score', 'Level', 'Seed', 'Date'],
+        scores.leaderboard.map((entry, index) => ({
+            cells: [index + 1, entry.initials, entry.score, entry.difficulty, entry.seed, entry.date.slice(0, 10)]
+        })));
+
+    // Newest first, with the score breakdown shown when hovering over a flight
+    fillTable(historyTable, ['Date', 'Seed', 'Level', 'Outcome', 'Velocity', 'Fuel', 'Score'],
+        scores.history.slice(-SHOWN_HISTORY).reverse().map(entry => ({
+            cells: [entry.date.slice(0, 16).replace('T', ' '), entry.seed, entry.difficulty, entry.outcome,
+                    entry.landingVelocity.toFixed(2), `${entry.fuel}%`, entry.score],
+            title: formatBreakdown(entry.breakdown || [])
+        })));
+
+    scoresHintElement.textContent = scores.history.length > 0
+        ? `${scores.history.length} flights recorded (hover over a flight for its score breakdown)`
+        : 'No flights recorded yet';
+}
+
+// Check if the high score screen is showing
+function isScoresOpen() {
+    return !scoresScreenElement.classList.contains('hidden');
+}
+
+// Show the high score screen
+function openScores() {
+    renderScores();
+    scoresScreenElement.classList.remove('hidden');
+}
+
+// Hide the high score screen
+function closeScores() {
+    scoresScreenElement.classList.add('hidden');
+    restartButton.focus();
+}
+
+// Pressing Enter in the initials field saves the high score
+initialsInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        saveHighScore();
+    }
+});
+
+saveInitialsButton.addEventListener('click', () => {
+    saveHighScore();
+});
+
+highScoresButton.addEventListener('click', () => {
+    highScoresButton.blur();
+    openScores();
+});
+
+closeScoresButton.addEventListener('click', () => {
+    closeScores();
+});
+
+exportHistoryJsonButton.addEventListener('click', () => {
+    downloadFile(JSON.stringify({ leaderboard: scores.leaderboard, history: scores.history }, null, 2),
+        'application/json', 'falcon-history.json');
+});
+
+exportHistoryCsvButton.addEventListener('click', () => {
+    downloadFile(historyToCsv(scores.history), 'text/csv', 'falcon-history.csv');
+});
+
+// Import a history exported from another browser or device
+importHistoryButton.addEventListener('click', () => {
+    historyFileInput.click();
+});
+
+historyFileInput.addEventListener('change', () => {
+    const file = historyFileInput.files[0];
+    historyFileInput.value = '';
+    if (!file) return;
+
+    file.text().then((text) => {
+        const added = importScores(text);
+        renderScores();
+        scoresHintElement.textContent = `Imported ${added} flights`;
+    }).catch((error) => {
+        alert(`Could not import history: ${error.message}`);
+    });
+});
@@ -0,0 +1,246 @@
+// Telemetry
+// Every simulation step of the flight on screen is sampled: position, altitude, velocities,
+// attitude, throttle, fuel and the rest of what the HUD shows. The telemetry panel (T) charts
+// the last few seconds of it, with a marker wherever the rocket got lined up for a catch, and
+// each finished flight's full telemetry can be downloaded as CSV from the game over screen
+// (or automatically as the flight ends) for analysing approaches offline. A very long flight
+// doesn't keep every step: see thinTelemetry().
+
+const TELEMETRY_STORAGE_KEY = 'falconTelemetry';
+const TELEMETRY_WINDOW = 600; // Steps shown on the charts (ten seconds)
+const MAX_TELEMETRY_SAMPLES = 18000; // Samples kept for a flight (five minutes of steps) before older ones are thinned out
+const TELEMETRY_CSV_COLUMNS = ['time', 'step', 'phase', 'x', 'y', 'altitude', 'velocityX', 'velocityY', 'angle', 'angularVelocity', 'throttle', 'gimbal', 'rcs', 'fuel', 'rcsGas', 'maxQ', 'wind', 'aligned', 'armClosure'];
+
+// The panel's charts: what each one plots, and a fixed range for the ones that have one
+// (the rest scale to what's in view)
+const TELEMETRY_CHARTS = [
+    { label: 'Altitude', unit: 'm', value: sample => sample.altitude },
+    { label: 'Vertical velocity', unit: 'm/s', value: sample => -sample.velocityY }, // Positive is climbing
+    { label: 'Horizontal velocity', unit: 'm/s', value: sample => sample.velocityX },
+    { label: 'Angle', unit: '°', value: sample => sample.angle },
+    { label: 'Throttle', unit: '%', value: sample => sample.throttle, min: 0, max: 100 },
+    { label: 'Fuel', unit: '%', value: sample => sample.fuel, min: 0, max: 100 }
+];
+
+// Telemetry panel and game over elements
+const telemetryPanelElement = document.getElementById('telemetryPanel');
+const telemetryCanvas = document.getElementById('telemetryCanvas');
+const telemetryAutoExportInput = document.getElementById('telemetryAutoExportInput');
+const exportTelemetryButton = document.getElementById('exportTelemetryButton');
+
+// Samples of the flight on screen, and the last flight the player finished (kept for the
+// game over screen while the demo or a replay takes over the screen)
+const telemetry = {
+    sim: null,
+    samples: [],
+    stride: 1 // Steps between the samples kept from before the charts' window (see thinTelemetry())
+};
+let finishedTelemetry = null; // { seed, difficulty, samples }
+let telemetrySettings = loadTelemetrySettings();
+
+// Read whether the panel was open and whether flights export themselves
+function loadTelemetrySettings() {
+    const loaded = { open: false, autoExport: false };
+    try {
+        const saved = JSON.parse(localStorage.getItem(TELEMETRY_STORAGE_KEY));
+        if (saved) {
+            loaded.open = saved.open === true;
+            loaded.autoExport = saved.autoExport === true;
+        }
+    } catch (error) {
+        // Unreadable or unavailable storage, keep the defaults
+    }
+    return loaded;
+}
+
+// Save the telemetry settings
+function saveTelemetrySettings() {
+    try {
+        localStorage.setItem(TELEMETRY_STORAGE_KEY, JSON.stringify(telemetrySettings));
+    } catch (error) {
+        // Storage unavailable (e.g. private browsing), settings last until the page closes
+    }
+}
+
+// Take a sample of a simulation after a step
+// Starts over for a different simulation or a new flight (or a replay seeking back), and
+// skips steps already sampled (the world keeps moving after a flight, but its clock stops)
+function recordTelemetry(shownSim) {
+    const last = telemetry.samples[telemetry.samples.length - 1];
+    if (telemetry.sim !== shownSim || (last && shownSim.stepCount < last.step)) {
+        telemetry.sim = shownSim;
+        telemetry.samples = [];
+        telemetry.stride = 1;
+    } else if (last && shownSim.stepCount === last.step) {
+        return;
+    }
+
+    const rocket = shownSim.rocket;
+    const descent = FalconCore.getDescentStatus(shownSim);
+    const alignment = shownSim.alignment;
+    telemetry.samples.push({
+        time: shownSim.stepCount * PHYSICS_STEP / 1000,
+        step: shownSim.stepCount,
+        phase: shownSim.phase,
+        x: rocket.position.x,
+        y: rocket.position.y,
+        altitude: descent.altitude,
+        velocityX: rocket.velocity.x,
+        velocityY: rocket.velocity.y, // Positive is falling, as on screen
+        angle: rocket.angle * 180 / Math.PI,
+        angularVelocity: rocket.angularVelocity,
+        throttle: shownSim.throttleLevel,
+        gimbal: shownSim.gimbalAngle * 180 / Math.PI,
+        rcs: shownSim.rcsOutput,
+        fuel: FalconCore.getFuelStatus(shownSim).percent,
+        rcsGas: shownSim.rcsGas / FalconCore.RCS_GAS * 100,
+        maxQ: descent.load / descent.maxLoad * 100,
+        wind: shownSim.wind.speed,
+        aligned: Boolean(alignment && alignment.isWellPositioned),
+        armClosure: shownSim.arms.closure
+    });
+    if (telemetry.samples.length > MAX_TELEMETRY_SAMPLES) {
+        thinTelemetry();
+    }
+}
+
+// Keep the telemetry of a long flight (or a replay run far ahead) within MAX_TELEMETRY_SAMPLES:
+// each time the limit is reached the samples before the steps on the charts are thinned out to
+// every 2nd, then 4th, 8th... step, so the whole flight stays evenly covered
+function thinTelemetry() {
+    telemetry.stride *= 2;
+    const older = telemetry.samples.slice(0, -TELEMETRY_WINDOW).filter(sample => sample.step % telemetry.stride === 0);
+    telemetry.samples = older.concat(telemetry.samples.slice(-TELEMETRY_WINDOW));
+}
+
+// Keep the player's finished flight for the game over screen, downloading it straight away if asked to
+function finishTelemetry(flightSim) {
+    recordTelemetry(flightSim);
+    finishedTelemetry = {
+        seed: flightSim.seed,
+        difficulty: flightSim.flightDifficulty,
+        samples: telemetry.samples.slice()
+    };
+    if (telemetrySettings.autoExport) {
+        downloadTelemetry();
+    }
+}
+
+// Telemetry as CSV, one step per row
+function telemetryToCsv(samples) {
+    const format = (value) => {
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (typeof value === 'number') return Number.isInteger(value) ? value : value.toFixed(4);
+        return value;
+    };
+    const rows = samples.map(sample => TELEMETRY_CSV_COLUMNS.map(column => format(sample[column])).join(','));
+    return [TELEMETRY_CSV_COLUMNS.join(',')].concat(rows).join('\n');
+}
+
+// Download the finished flight's telemetry as a CSV file
+function downloadTelemetry() {
+    if (!finishedTelemetry) return;
+
+    downloadFile(telemetryToCsv(finishedTelemetry.samples), 'text/csv',
+        `falcon-telemetry-${finishedTelemetry.seed}-level${finishedTelemetry.difficulty}.csv`);
+}
+
+function toggleTelemetryPanel() {
+    telemetrySettings.open = !telemetrySettings.open;
+    saveTelemetrySettings();
+    telemetryPanelElement.classList.toggle('hidden', !telemetrySettings.open);
+}
+
+// Draw the charts of the last TELEMETRY_WINDOW steps, one strip each, with the latest value
+// beside each label and a green line wherever the rocket became well positioned for a catch
+function drawTelemetry() {
+    if (!telemetrySettings.open) return;
+
+    const ctx = telemetryCanvas.getContext('2d');
+    const width = telemetryCanvas.width;
+    const stripHeight = telemetryCanvas.height / TELEMETRY_CHARTS.length;
+    const samples = telemetry.samples;
+    const shown = samples.slice(-TELEMETRY_WINDOW);
+    const firstStep = shown.length > 0 ? shown[shown.length - 1].step - TELEMETRY_WINDOW : 0;
+    const stepX = step => (step - firstStep) / TELEMETRY_WINDOW * width;
+    const before = samples[samples.length - shown.length - 1];
+
+    ctx.clearRect(0, 0, width, telemetryCanvas.height);
+    ctx.font = '11px Arial';
+    ctx.textBaseline = 'top';
+
+    TELEMETRY_CHARTS.forEach((chart, index) => {
+        const top = index * stripHeight;
+        const plotTop = top + 14;
+        const plotHeight = stripHeight - 18;
+        const values = shown.map(chart.value);
+        let min = chart.min !== undefined ? chart.min : Math.min(...values);
+        let max = chart.max !== undefined ? chart.max : Math.max(...values);
+        if (!(max - min > 0.01)) {
+            // Flat (or no) data: centre it in a small range
+            const middle = Number.isFinite(min) ? min : 0;
+            min = middle - 1;
+            max = middle + 1;
+        }
+        const valueY = value => plotTop + plotHeight - (value - min) / (max - min) * plotHeight;
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(0.5, plotTop + 0.5, width - 1, plotHeight);
+
+        // Zero line, for the charts that cross it
+        if (min < 0 && max > 0) {
+            ctx.beginPath();
+            ctx.moveTo(0, valueY(0));
+            ctx.lineTo(width, valueY(0));
+            ctx.stroke();
+        }
+
+        // Alignment markers
+        ctx.strokeStyle = '#00ff00';
+        shown.forEach((sample, sampleIndex) => {
+            const previous = sampleIndex > 0 ? shown[sampleIndex - 1] : before;
+            if (sample.aligned && !(previous && previous.aligned)) {
+                ctx.beginPath();
+                ctx.moveTo(stepX(sample.step), plotTop);
+                ctx.lineTo(stepX(sample.step), plotTop + plotHeight);
+                ctx.stroke();
+            }
+        });
+
+        ctx.strokeStyle = '#ffcc00';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        shown.forEach((sample, sampleIndex) => {
+            const x = stepX(sample.step);
+            const y = valueY(values[sampleIndex]);
+            if (sampleIndex === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+
+        const latest = values.length > 0 ? `${values[values.length - 1].toFixed(1)} ${chart.unit}` : '-';
+        ctx.fillStyle = '#aaaaaa';
+        ctx.textAlign = 'left';
+        ctx.fillText(chart.label, 2, top + 1);
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'right';
+        ctx.fillText(latest, width - 2, top + 1);
+    });
+}
+
+telemetryPanelElement.classList.toggle('hidden', !telemetrySettings.open);
+telemetryAutoExportInput.checked = telemetrySettings.autoExport;
+
+telemetryAutoExportInput.addEventListener('change', () => {
+    telemetrySettings.autoExport = telemetryAutoExportInput.checked;
+    saveTelemetrySettings();
+});
+
+exportTelemetryButton.addEventListener('click', () => {
+    exportTelemetryButton.blur();
+    downloadTelemetry();
+});
@@ -0,0 +1,137 @@
+// Touch controls
+// On-screen throttle lever, rotate and land buttons, and optional tilt steering for
+// phones and tablets. They feed the same control path as the keyboard and gamepad
+// (see readPlayerInput() in game.js).
+
+const TILT_FULL_ROTATION = 30; // Degrees of device tilt for full rotation
+const TILT_DEADZONE = 4; // Degrees of tilt ignored so the rocket can be held still
+
+// Touch control elements
+const touchThrottleElement = document.getElementById('touchThrottle');
+const touchThrottleFill = document.getElementById('touchThrottleFill');
+const touchThrottleLabel = document.getElementById('touchThrottleLabel');
+const touchLeftButton = document.getElementById('touchLeftButton');
+const touchRightButton = document.getElementById('touchRightButton');
+const touchLandButton = document.getElementById('touchLandButton');
+const touchTiltButton = document.getElementById('touchTiltButton');
+
+// Current state of the on-screen controls
+const touchState = {
+    throttle: 0, // 0..1, stays where the lever was left
+    left: false,
+    right: false,
+    tiltEnabled: false,
+    tiltRotation: 0 // -1..1 from the device's tilt, when enabled
+};
+
+// Switch the game to touch controls (shows the on-screen controls)
+function enableTouchMode() {
+    document.body.classList.add('touch-mode');
+    lastInputDevice = 'touch';
+}
+
+// Move the throttle lever (value 0..1)
+function setTouchThrottle(value) {
+    touchState.throttle = Math.max(0, Math.min(1, value));
+    touchThrottleFill.style.height = `${touchState.throttle * 100}%`;
+    touchThrottleLabel.textContent = `${Math.round(touchState.throttle * 100)}%`;
+}
+
+// Put the controls back to rest for a new round
+function resetTouchControls() {
+    setTouchThrottle(0);
+    touchState.left = false;
+    touchState.right = false;
+}
+
+// Throttle lever follows the finger while it's held down
+function updateThrottleFromPointer(e) {
+    const rect = touchThrottleElement.getBoundingClientRect();
+    setTouchThrottle(1 - (e.clientY - rect.top) / rect.height);
+}
+
+touchThrottleElement.addEventListener('pointerdown', (e) => {
+    e.preventDefault();
+    enableTouchMode();
+    touchThrottleElement.setPointerCapture(e.pointerId);
+    updateThrottleFromPointer(e);
+});
+
+touchThrottleElement.addEventListener('pointermove', (e) => {
+    if (touchThrottleElement.hasPointerCapture(e.pointerId)) {
+        updateThrottleFromPointer(e);
+    }
+});
+
+// Rotate buttons act like holding the rotate keys
+[[touchLeftButton, 'left'], [touchRightButton, 'right']].forEach(([button, side]) => {
+    button.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        enableTouchMode();
+        button.setPointerCapture(e.pointerId);
+        touchState[side] = true;
+    });
+    ['pointerup', 'pointercancel', 'lostpointercapture'].forEach((type) => {
+        button.addEventListener(type, () => {
+            touchState[side] = false;
+        });
+    });
+});
+
+// The catch button works like the land key: closes the arms, starts rounds and pauses replays
+touchLandButton.addEventListener('pointerdown', (e) => {
+    e.preventDefault();
+    enableTouchMode();
+    handleLandPress();
+});
+
+// Left-right tilt of the device in degrees, whichever way round it's held
+function getDeviceTilt(e) {
+    const orientation = screen.orientation ? screen.orientation.angle : (window.orientation || 0);
+    if (orientation === 90) return e.beta;
+    if (orientation === -90 || orientation === 270) return -e.beta;
+    if (orientation === 180) return -e.gamma;
+    return e.gamma;
+}
+
+// Steer from the device's tilt while tilt steering is on
+function handleDeviceOrientation(e) {
+    if (!touchState.tiltEnabled || e.beta === null) return;
+
+    const tilt = getDeviceTilt(e);
+    touchState.tiltRotation = Math.abs(tilt) < TILT_DEADZONE
+        ? 0
+        : Math.max(-1, Math.min(1, (tilt - Math.sign(tilt) * TILT_DEADZONE) / TILT_FULL_ROTATION));
+}
+
+// Turn tilt steering on or off
+function setTiltEnabled(enabled) {
+    touchState.tiltEnabled = enabled;
+    touchState.tiltRotation = 0;
+    touchTiltButton.textContent = enabled ? 'Tilt: On' : 'Tilt: Off';
+    touchTiltButton.classList.toggle('active', enabled);
+}
+
+touchTiltButton.addEventListener('click', () => {
+    if (touchState.tiltEnabled) {
+        setTiltEnabled(false);
+        return;
+    }
+
+    // iOS asks for permission to read the motion sensors, and only from a tap
+    if (typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function') {
+        DeviceOrientationEvent.requestPermission().then((state) => {
+            setTiltEnabled(state === 'granted');
+        }).catch(() => setTiltEnabled(false));
+    } else {
+        setTiltEnabled(true);
+    }
+});
+
+window.addEventListener('deviceorientation', handleDeviceOrientation);
+
+// Any touch on the page switches to touch controls; touch-first devices start with them
+window.addEventListener('touchstart', enableTouchMode, { passive: true });
+if (window.matchMedia && window.matchMedia('(pointer: coarse)').matches) {
+    document.body.classList.add('touch-mode');
+}